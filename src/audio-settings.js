@@ -0,0 +1,28 @@
+// src/audio-settings.js
+// Mixer settings kept in localStorage: whether audio/music were on last visit
+// and the bus volumes (0..1). Bad or missing values fall back to the defaults.
+
+const KEY = 'ee_audio';
+
+export const AUDIO_DEFAULTS = {
+  enabled: false,   // re-enabled on the first gesture of the next visit
+  music: false,
+  master: 0.9, sfx: 0.8, musicVol: 0.6, ambience: 0.5,
+};
+
+export function loadAudioSettings() {
+  let saved = null;
+  try { saved = JSON.parse(localStorage.getItem(KEY) || 'null'); } catch { /* corrupt: defaults */ }
+  const out = { ...AUDIO_DEFAULTS };
+  if (!saved || typeof saved !== 'object') return out;
+  for (const k of ['enabled', 'music']) if (typeof saved[k] === 'boolean') out[k] = saved[k];
+  for (const k of ['master', 'sfx', 'musicVol', 'ambience']) {
+    if (Number.isFinite(saved[k])) out[k] = Math.max(0, Math.min(1, saved[k]));
+  }
+  return out;
+}
+
+export function saveAudioSettings(settings) {
+  try { localStorage.setItem(KEY, JSON.stringify({ ...loadAudioSettings(), ...settings })); }
+  catch { /* quota / private mode: settings just don't stick */ }
+}
@@ -1,65 +1,319 @@
-// Minimal WebAudio helper — no external assets needed
-let ctx, master, sfxGain, musicGain, musicNode, audioEnabled = false;
+// Minimal WebAudio helper — no external assets needed.
+// SFX are synthesized from presets (playSfx); music is generated from the score in music.js;
+// the ambience bus carries a mood bed (birds / crickets / rain + thunder).
+// Buses: sfx, music and ambience each have a user volume and feed master.
+import { MUSIC_STYLES, createSequencer, midiToHz } from './music.js';
+import { AUDIO_DEFAULTS } from './audio-settings.js';
+import { VW } from './world.js';
+
+let ctx, master, sfxGain, musicGain, musicGate, ambienceGain, audioEnabled = false;
+const volumes = {
+  master: AUDIO_DEFAULTS.master, sfx: AUDIO_DEFAULTS.sfx,
+  music: AUDIO_DEFAULTS.musicVol, ambience: AUDIO_DEFAULTS.ambience,
+};
 
 export async function enableAudio() {
-  if (audioEnabled) return;
+  if (audioEnabled) {
+    if (ctx.state === 'suspended') await ctx.resume();
+    return;
+  }
   ctx = new (window.AudioContext || window.webkitAudioContext)();
-  master = ctx.createGain(); master.gain.value = 0.9; master.connect(ctx.destination);
-  sfxGain = ctx.createGain(); sfxGain.gain.value = 0.8; sfxGain.connect(master);
-  musicGain = ctx.createGain(); musicGain.gain.value = 0.0; musicGain.connect(master);
+  master = ctx.createGain(); master.gain.value = volumes.master; master.connect(ctx.destination);
+  sfxGain = ctx.createGain(); sfxGain.gain.value = volumes.sfx; sfxGain.connect(master);
+  musicGain = ctx.createGain(); musicGain.gain.value = volumes.music; musicGain.connect(master);
+  musicGate = ctx.createGain(); musicGate.gain.value = 0.0; musicGate.connect(musicGain);   // on/off fade
+  ambienceGain = ctx.createGain(); ambienceGain.gain.value = volumes.ambience; ambienceGain.connect(master);
   audioEnabled = true;
+  if (ctx.state === 'suspended') await ctx.resume();
+  startAmbience();
 }
 
+// Bus volume 0..1: 'master' | 'sfx' | 'music' | 'ambience'. Remembered before audio is enabled.
+export function setVolume(bus, v) {
+  if (!(bus in volumes)) return;
+  volumes[bus] = Math.max(0, Math.min(1, v));
+  if (!audioEnabled) return;
+  const node = { master, sfx: sfxGain, music: musicGain, ambience: ambienceGain }[bus];
+  ramp(node.gain, volumes[bus], 0.05);
+}
+export function getVolume(bus) { return volumes[bus]; }
+
+// ---------- Music ----------
+// A look-ahead scheduler pulls notes from the mood's sequencer (music.js). Each
+// mood plays on its own layer so a mood change cross-fades instead of cutting.
+const LOOKAHEAD_S = 0.12, TICK_MS = 25, XFADE_S = 2.0;
+let musicOn = false, musicTimer = 0, musicMood = 'calm', musicPace = 1;
+let layers = [];   // { mood, seq, gain, retireAt }
+let noiseBuf = null;
+
 export function setMusic(on) {
   if (!audioEnabled) return;
+  musicOn = on;
   if (on) {
-    if (!musicNode) {
-      // simple synthesized loop (triangle bass + slow LFO filter)
-      const osc = ctx.createOscillator(); osc.type = 'triangle'; osc.frequency.value = 100;
-      const filt = ctx.createBiquadFilter(); filt.type = 'lowpass'; filt.frequency.value = 400;
-      const lfo = ctx.createOscillator(); lfo.frequency.value = 0.15;
-      const lfoGain = ctx.createGain(); lfoGain.gain.value = 180;
-      lfo.connect(lfoGain).connect(filt.frequency);
-      osc.connect(filt).connect(musicGain);
-      osc.start(); lfo.start();
-      musicNode = { osc, lfo, filt };
-    }
-    ramp(musicGain.gain, 0.25, 0.5);
+    if (!layers.length) layers.push(newLayer(musicMood, 1));
+    if (!musicTimer) musicTimer = setInterval(scheduleMusic, TICK_MS);
+    ramp(musicGate.gain, 0.5, 0.5);
   } else {
-    ramp(musicGain.gain, 0.0, 0.5);
+    ramp(musicGate.gain, 0.0, 0.5);
+    // Let the fade finish, then stop scheduling
+    setTimeout(() => { if (!musicOn) stopMusic(); }, 600);
   }
 }
 
-export function jumpSfx() { beep(520, 0.06); }
-export function coinSfx() { beep(880, 0.05); }
-export function hitSfx()  { noise(0.2); }
+export function setMusicMood(mood) {
+  if (!MUSIC_STYLES[mood] || mood === musicMood) return;
+  musicMood = mood;
+  if (!audioEnabled || !musicOn) { stopMusic(); return; }
+  const t = ctx.currentTime;
+  for (const l of layers) if (!l.retireAt) { ramp(l.gain.gain, 0, XFADE_S); l.retireAt = t + XFADE_S; }
+  const next = newLayer(mood, 0);
+  ramp(next.gain.gain, 1, XFADE_S);
+  layers.push(next);
+}
 
-function beep(freq, dur=0.08) {
-  if (!audioEnabled) return;
-  const o = ctx.createOscillator(); o.type='sine'; o.frequency.value=freq;
-  const g = ctx.createGain(); g.gain.value = 0.0;
-  o.connect(g).connect(sfxGain);
-  o.start();
-  ramp(g.gain, 0.7, 0.02);
-  ramp(g.gain, 0.0, dur);
-  o.stop(ctx.currentTime + dur + 0.05);
+// Current speed / the mood's base speed; the music speeds up with the run.
+export function setMusicPace(pace) {
+  musicPace = pace;
+  for (const l of layers) l.seq.setPace(pace);
 }
 
-function noise(dur=0.2) {
-  if (!audioEnabled) return;
-  const buff = ctx.createBuffer(1, ctx.sampleRate * dur, ctx.sampleRate);
-  const data = buff.getChannelData(0);
-  for (let i=0;i<data.length;i++) data[i] = (Math.random()*2-1) * Math.pow(1 - i/data.length, 2);
-  const src = ctx.createBufferSource(); src.buffer = buff;
-  const g = ctx.createGain(); g.gain.value=0.7;
-  src.connect(g).connect(sfxGain);
-  src.start();
-  ramp(g.gain, 0.0, dur);
+function newLayer(mood, level) {
+  const gain = ctx.createGain(); gain.gain.value = level; gain.connect(musicGate);
+  const seq = createSequencer(MUSIC_STYLES[mood], ctx.currentTime + 0.05);
+  seq.setPace(musicPace);
+  return { mood, seq, gain, retireAt: 0 };
+}
+
+function scheduleMusic() {
+  const t = ctx.currentTime;
+  for (const l of layers) {
+    if (l.retireAt && t > l.retireAt) { l.gain.disconnect(); continue; }
+    for (const n of l.seq.due(t + LOOKAHEAD_S, t)) playVoice(n, l.gain);
+  }
+  layers = layers.filter(l => !(l.retireAt && t > l.retireAt));
+}
+
+function stopMusic() {
+  clearInterval(musicTimer); musicTimer = 0;
+  for (const l of layers) l.gain.disconnect();
+  layers = [];
+}
+
+// One note of the score as a short-lived oscillator/noise graph.
+function playVoice({ voice, midi, time, dur, vel }, out) {
+  const g = ctx.createGain(); g.gain.value = 0; g.connect(out);
+  const end = time + dur;
+  const env = (attack, release) => {
+    g.gain.setValueAtTime(0, time);
+    g.gain.linearRampToValueAtTime(vel, time + attack);
+    g.gain.setTargetAtTime(0, Math.max(time + attack, end - release), release / 3);
+  };
+  const osc = (type, hz, detune = 0) => {
+    const o = ctx.createOscillator(); o.type = type; o.frequency.value = hz; o.detune.value = detune;
+    o.start(time); o.stop(end + 1);
+    return o;
+  };
+  const filter = (type, hz, q = 1) => {
+    const f = ctx.createBiquadFilter(); f.type = type; f.frequency.value = hz; f.Q.value = q;
+    f.connect(g);
+    return f;
+  };
+
+  if (voice === 'pluck') {
+    const f = filter('lowpass', 600);
+    f.frequency.setValueAtTime(3000, time); f.frequency.exponentialRampToValueAtTime(600, time + 0.15);
+    osc('square', midiToHz(midi)).connect(f);
+    env(0.005, dur);
+  } else if (voice === 'pad') {
+    const f = filter('lowpass', 900);
+    osc('sawtooth', midiToHz(midi), -7).connect(f);
+    osc('sawtooth', midiToHz(midi), +7).connect(f);
+    env(dur * 0.4, dur * 0.4);
+  } else if (voice === 'bass') {
+    osc('triangle', midiToHz(midi)).connect(g);
+    env(0.01, dur * 0.5);
+  } else if (voice === 'saw') {
+    const f = filter('lowpass', 1400, 6);
+    osc('sawtooth', midiToHz(midi)).connect(f);
+    env(0.005, dur * 0.6);
+  } else if (voice === 'bell') {
+    osc('sine', midiToHz(midi)).connect(g);
+    osc('sine', midiToHz(midi) * 2.76).connect(filter('lowpass', 4000));
+    g.gain.setValueAtTime(vel, time);
+    g.gain.exponentialRampToValueAtTime(0.001, end);
+  } else if (voice === 'hat') {
+    const src = ctx.createBufferSource(); src.buffer = whiteNoise();
+    src.connect(filter('highpass', 7000));
+    src.start(time); src.stop(time + 0.1);
+    g.gain.setValueAtTime(vel, time);
+    g.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+  }
+  setTimeout(() => g.disconnect(), (end - ctx.currentTime + 1.5) * 1000);
+}
+
+// White noise, 2 s, shared by hats, rain and thunder.
+function whiteNoise() {
+  if (!noiseBuf) {
+    noiseBuf = ctx.createBuffer(1, ctx.sampleRate * 2, ctx.sampleRate);
+    const d = noiseBuf.getChannelData(0);
+    for (let i = 0; i < d.length; i++) d[i] = Math.random() * 2 - 1;
+  }
+  return noiseBuf;
+}
+
+// ---------- Ambience ----------
+// One bed per mood, cross-faded like the music. Beds run continuously while
+// audio is on; birds are scheduled chirps, the rest are looping node graphs.
+const AMBIENCE_TICK_MS = 100;
+let ambienceMood = 'calm', beds = null;
+
+export function setAmbienceMood(mood) {
+  if (!(mood === 'happy' || mood === 'calm' || mood === 'stressed')) return;
+  ambienceMood = mood;
+  if (!beds) return;
+  for (const [m, bed] of Object.entries(beds)) ramp(bed.gain, m === mood ? 1 : 0, XFADE_S);
+}
+
+function startAmbience() {
+  beds = {};
+  for (const m of ['happy', 'calm', 'stressed']) {
+    beds[m] = ctx.createGain(); beds[m].gain.value = m === ambienceMood ? 1 : 0;
+    beds[m].connect(ambienceGain);
+  }
+
+  // Crickets: a 4.6 kHz tone gated by a fast trill, in bursts
+  const cricket = ctx.createOscillator(); cricket.frequency.value = 4600;
+  const trill = ctx.createOscillator(); trill.type = 'square'; trill.frequency.value = 28;
+  const trillDepth = ctx.createGain(); trillDepth.gain.value = 0.5;
+  const burst = ctx.createOscillator(); burst.type = 'square'; burst.frequency.value = 0.7;
+  const burstDepth = ctx.createGain(); burstDepth.gain.value = 0.5;
+  const cAmp = ctx.createGain(); cAmp.gain.value = 0;
+  const cLevel = ctx.createGain(); cLevel.gain.value = 0.05;
+  trill.connect(trillDepth).connect(cAmp.gain);
+  burst.connect(burstDepth).connect(cLevel.gain);
+  cricket.connect(cAmp).connect(cLevel).connect(beds.calm);
+  for (const o of [cricket, trill, burst]) o.start();
+
+  // Rain: looped noise, band-limited
+  const rain = ctx.createBufferSource(); rain.buffer = whiteNoise(); rain.loop = true;
+  const hp = ctx.createBiquadFilter(); hp.type = 'highpass'; hp.frequency.value = 500;
+  const lp = ctx.createBiquadFilter(); lp.type = 'lowpass'; lp.frequency.value = 3500;
+  const rLevel = ctx.createGain(); rLevel.gain.value = 0.12;
+  rain.connect(hp).connect(lp).connect(rLevel).connect(beds.stressed);
+  rain.start();
+
+  // Birds: a few falling/rising chirps now and then
+  setInterval(() => {
+    if (beds.happy.gain.value > 0.01 && Math.random() < 0.12) birdCall(ctx.currentTime + Math.random() * 0.1);
+  }, AMBIENCE_TICK_MS);
+}
+
+function birdCall(t) {
+  const notes = 2 + Math.floor(Math.random() * 4), base = 2600 + Math.random() * 1800;
+  for (let i = 0; i < notes; i++) {
+    const t0 = t + i * (0.09 + Math.random() * 0.05);
+    const o = ctx.createOscillator();
+    o.frequency.setValueAtTime(base * (1 + Math.random() * 0.2), t0);
+    o.frequency.exponentialRampToValueAtTime(base * 0.7, t0 + 0.07);
+    const g = ctx.createGain(); g.gain.value = 0;
+    g.gain.setValueAtTime(0, t0);
+    g.gain.linearRampToValueAtTime(0.08, t0 + 0.01);
+    g.gain.exponentialRampToValueAtTime(0.001, t0 + 0.08);
+    o.connect(g).connect(beds.happy);
+    o.start(t0); o.stop(t0 + 0.1);
+  }
+}
+
+// Rumble for a lightning flash; `delay` s later, as sound travels slower than light.
+export function thunder(strength = 1, delay = 0.3 + Math.random() * 0.9) {
+  if (!audioEnabled || !beds) return;
+  const t = ctx.currentTime + delay, dur = 2.5 + Math.random();
+  const src = ctx.createBufferSource(); src.buffer = whiteNoise(); src.loop = true;
+  const lp = ctx.createBiquadFilter(); lp.type = 'lowpass';
+  lp.frequency.setValueAtTime(900, t); lp.frequency.exponentialRampToValueAtTime(120, t + dur);
+  const g = ctx.createGain(); g.gain.value = 0;
+  g.gain.setValueAtTime(0, t);
+  g.gain.linearRampToValueAtTime(0.6 * strength, t + 0.05);
+  g.gain.exponentialRampToValueAtTime(0.001, t + dur);
+  src.connect(lp).connect(g).connect(beds.stressed);
+  src.start(t); src.stop(t + dur + 0.1);
+}
+
+// ---------- SFX ----------
+// Every effect is a preset for one small synth: an oscillator and/or filtered
+// noise, a pitch sweep (freq → to), a filter sweep and an attack/decay envelope.
+// `notes` (semitones) replays the voice as a quick arpeggio, `gap` s apart.
+export const SFX_PRESETS = {
+  jump:       { wave: 'square',   freq: 420, to: 760,  decay: 0.12, vol: 0.35, filter: 'lowpass', cutoff: 2400 },
+  doubleJump: { wave: 'triangle', freq: 660, to: 1320, decay: 0.1,  vol: 0.4,  notes: [0, 7], gap: 0.05 },
+  land:       { wave: 'sine',     freq: 140, to: 55,   decay: 0.14, vol: 0.6,  noise: 0.5, filter: 'lowpass', cutoff: 700, cutoffTo: 120 },
+  slide:      { noise: 1, attack: 0.02,            decay: 0.35, vol: 0.35, filter: 'lowpass', cutoff: 1400, cutoffTo: 300 },
+  dash:       { wave: 'sine',     freq: 300, to: 900,  decay: 0.18, vol: 0.25, noise: 0.8, filter: 'bandpass', cutoff: 900, cutoffTo: 3200, q: 1.5 },
+  coin:       { wave: 'square',   freq: 988,           decay: 0.08, vol: 0.25, notes: [0, 5], gap: 0.06 },
+  bigCoin:    { wave: 'triangle', freq: 784,           decay: 0.12, vol: 0.45, notes: [0, 4, 7, 12], gap: 0.055 },
+  dronePass:  { wave: 'sawtooth', freq: 260, to: 170,  attack: 0.12, decay: 0.45, vol: 0.2, noise: 0.6, filter: 'bandpass', cutoff: 2200, cutoffTo: 500, q: 2 },
+  milestone:  { wave: 'square',   freq: 523,           decay: 0.14, vol: 0.3,  notes: [0, 4, 7, 12, 16], gap: 0.07, filter: 'lowpass', cutoff: 3000 },
+  powerup:    { wave: 'triangle', freq: 392, to: 784,  decay: 0.16, vol: 0.4,  notes: [0, 7, 12], gap: 0.06 },
+  shieldBreak:{ wave: 'square',   freq: 880, to: 220,  decay: 0.3,  vol: 0.35, noise: 0.7, filter: 'highpass', cutoff: 1800, cutoffTo: 400 },
+  hit:        { wave: 'sawtooth', freq: 220, to: 40,   decay: 0.45, vol: 0.5,  noise: 1, filter: 'lowpass', cutoff: 2200, cutoffTo: 90 },
+};
+
+// Stereo position for a world x: -0.8 (left edge) .. 0.8 (right edge).
+export function panForX(x) {
+  if (!Number.isFinite(x)) return 0;
+  return Math.max(-0.8, Math.min(0.8, (x / VW) * 1.6 - 0.8));
+}
+
+// playSfx('coin', { x }) — unknown names and calls before audio is enabled do nothing.
+export function playSfx(name, { x = null, vol = 1 } = {}) {
+  const p = SFX_PRESETS[name];
+  if (!audioEnabled || !p) return;
+  let out = sfxGain;
+  const notes = p.notes || [0];
+  if (x !== null && ctx.createStereoPanner) {
+    out = ctx.createStereoPanner(); out.pan.value = panForX(x); out.connect(sfxGain);
+    const len = (notes.length - 1) * (p.gap || 0) + (p.attack || 0.005) + p.decay;
+    setTimeout(() => out.disconnect(), (len + 0.3) * 1000);
+  }
+  const t = ctx.currentTime;
+  notes.forEach((semi, i) => sfxVoice(p, t + i * (p.gap || 0), 2 ** (semi / 12), vol, out));
+}
+
+function sfxVoice(p, t, pitch, vol, out) {
+  const attack = p.attack || 0.005, end = t + attack + p.decay;
+  const g = ctx.createGain();
+  g.gain.setValueAtTime(0, t);
+  g.gain.linearRampToValueAtTime(p.vol * vol, t + attack);
+  g.gain.exponentialRampToValueAtTime(0.001, end);
+  g.connect(out);
+
+  let into = g;
+  if (p.filter) {
+    const f = ctx.createBiquadFilter(); f.type = p.filter; f.Q.value = p.q || 1;
+    f.frequency.setValueAtTime(p.cutoff, t);
+    if (p.cutoffTo) f.frequency.exponentialRampToValueAtTime(p.cutoffTo, end);
+    f.connect(g);
+    into = f;
+  }
+  if (p.wave) {
+    const o = ctx.createOscillator(); o.type = p.wave;
+    o.frequency.setValueAtTime(p.freq * pitch, t);
+    if (p.to) o.frequency.exponentialRampToValueAtTime(p.to * pitch, end);
+    o.connect(into);
+    o.start(t); o.stop(end + 0.05);
+  }
+  if (p.noise) {
+    const n = ctx.createBufferSource(); n.buffer = whiteNoise();
+    const ng = ctx.createGain(); ng.gain.value = p.noise;
+    n.connect(ng).connect(into);
+    n.start(t, Math.random()); n.stop(end + 0.05);
+  }
 }
 
 function ramp(param, value, time) {
   const t = ctx.currentTime;
   param.cancelScheduledValues(t);
+  param.setValueAtTime(param.value, t);   // ramp from where it is now
   param.linearRampToValueAtTime(value, t + Math.max(0.01, time));
 }
 
@@ -0,0 +1,34 @@
+// src/calibration.js
+// Guided Mood AI calibration: neutral, smile, frown. Each step waits for the
+// player to get ready, then averages the detector's raw features for a moment.
+
+import { averageFeatures, deriveThresholds } from './mood-classify.js';
+
+export const CALIBRATION_STEPS = [
+  { key: 'neutral', prompt: 'Relax — keep a neutral face' },
+  { key: 'smile',   prompt: 'Now a big smile!' },
+  { key: 'frown',   prompt: 'Now frown — pull your brows down' },
+];
+
+const MIN_SAMPLES = 4;
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// `onSample(fn)` subscribes to detector samples ({ raw }) and returns an unsubscribe.
+// `onStep(step, phase)` is told about 'ready' and 'capture' phases for the UI.
+// Resolves to { neutral, thresholds }; rejects if the face was lost or an
+// expression was too weak to tell apart from neutral.
+export async function runCalibration({ onSample, onStep = () => {}, readyMs = 1500, captureMs = 1500 }) {
+  const avg = {};
+  for (const step of CALIBRATION_STEPS) {
+    onStep(step, 'ready');
+    await sleep(readyMs);
+    onStep(step, 'capture');
+    const frames = [];
+    const off = onSample((s) => { if (s.raw) frames.push(s.raw); });
+    await sleep(captureMs);
+    off();
+    if (frames.length < MIN_SAMPLES) throw new Error(`No face detected during the ${step.key} step`);
+    avg[step.key] = averageFeatures(frames);
+  }
+  return { neutral: avg.neutral, thresholds: deriveThresholds(avg) };
+}
@@ -0,0 +1,70 @@
+// src/camera.js
+// Webcam lifecycle for Mood AI: opened only on demand, fully released on stop
+// (tracks stopped, so the camera light goes off), plus device listing and
+// readable messages for the ways getUserMedia can fail.
+
+let stream = null;
+
+export function isCameraOn() { return !!stream; }
+
+// Opens the camera (a specific one if deviceId is given) into the video element.
+// `onEnded` fires if the device goes away underneath us (unplugged, taken over).
+export async function startCamera(videoEl, { deviceId = null, onEnded = null } = {}) {
+  stopCamera(videoEl);
+  if (!navigator.mediaDevices?.getUserMedia) throw cameraError('unsupported');
+  const video = { width: { ideal: 320 }, height: { ideal: 240 } };
+  if (deviceId) video.deviceId = { exact: deviceId };
+  else video.facingMode = 'user';
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({ video, audio: false });
+  } catch (e) {
+    // A remembered camera that's gone: fall back to any camera
+    if (deviceId && e.name === 'OverconstrainedError') return startCamera(videoEl, { onEnded });
+    throw cameraError(cameraErrorCode(e), e);
+  }
+  const track = stream.getVideoTracks()[0];
+  if (track && onEnded) track.addEventListener('ended', () => { if (stream) onEnded(); });
+  videoEl.srcObject = stream;
+  try { await videoEl.play(); } catch { /* autoplay attribute covers it */ }
+  return track ? track.getSettings().deviceId || null : null;
+}
+
+export function stopCamera(videoEl) {
+  if (stream) for (const t of stream.getTracks()) t.stop();
+  stream = null;
+  if (videoEl) videoEl.srcObject = null;
+}
+
+// Video inputs; labels are empty until the user has granted permission once.
+export async function listCameras() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter(d => d.kind === 'videoinput')
+    .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}` }));
+}
+
+export const CAMERA_MESSAGES = {
+  denied: 'Camera permission was denied. Allow it in the browser’s site settings, then enable Mood AI again.',
+  none: 'No camera found. Connect one, or play with the 1/2/3 mood keys.',
+  'in-use': 'The camera is in use by another app or tab. Close it there and try again.',
+  unsupported: 'This browser can’t open a camera here (it needs HTTPS or localhost).',
+  error: 'The camera could not be started.',
+};
+
+// getUserMedia DOMException names → one of the CAMERA_MESSAGES keys
+export function cameraErrorCode(e) {
+  switch (e && e.name) {
+    case 'NotAllowedError': case 'PermissionDeniedError': case 'SecurityError': return 'denied';
+    case 'NotFoundError': case 'DevicesNotFoundError': case 'OverconstrainedError': return 'none';
+    case 'NotReadableError': case 'TrackStartError': case 'AbortError': return 'in-use';
+    case 'TypeError': return 'unsupported';
+    default: return 'error';
+  }
+}
+
+function cameraError(code, cause) {
+  const err = new Error(CAMERA_MESSAGES[code], cause ? { cause } : undefined);
+  err.code = code;
+  return err;
+}
@@ -0,0 +1,237 @@
+// src/editor.js
+// Level editor state: a working copy of a level (src/level.js), the selection,
+// the view along the course, snapping and undo/redo. Headless — render.js
+// draws it, main.js feeds it pointer and key input in virtual screen space.
+//
+// Course space: `at` is px along the course, `alt` px above the ground line.
+// The screen maps it like a running world whose distance is ed.scroll, so the
+// playtest cursor sits where the runner would stand.
+
+import { VW, VH, GROUND_Y, START_X, clamp } from './world.js';
+import { parseLevel, serializeLevel, ARC_STEP, ARC_RISE, MAX_SIZE, MAX_ALT } from './level.js';
+
+export const EDITOR_TOOLS = ['select', 'block', 'gate', 'drone', 'coins'];
+export const SNAP = 20;
+const UNDO_MAX = 200;
+const HANDLE = 10;        // resize handle half-size (px)
+const MIN_LENGTH = 400;
+const FINISH_W = 60;      // the finish banner's width (see render.js → drawFinishLine)
+
+// What a newly placed item looks like
+const NEW_ITEM = {
+  block: { type: 'block', w: 60, h: 80 },
+  gate:  { type: 'gate', w: 160, alt: 160, h: 12, curtain: false },
+  drone: { type: 'drone', alt: 140, r: 24, bob: 0 },
+  coins: { alt: 40, arc: 5, worth: 1 },
+};
+
+// Timeline strip along the bottom of the screen: the whole course at a glance
+export const TIMELINE = { x: 24, y: VH - 34, w: VW - 48, h: 18 };
+
+export function blankLevel(){
+  return parseLevel({ v: 1, id: 'my-stage', name: 'My Stage', length: 3000 });
+}
+
+export function createEditor(level = blankLevel()){
+  return {
+    level: parseLevel(level),
+    tool: 'select',
+    snap: true,
+    scroll: 0,        // course distance under the runner's x (START_X)
+    cursor: 0,        // where "playtest from here" starts
+    sel: null,        // { group, index } — group 'obstacles' | 'coins' | 'powerups' | 'finish'
+    drag: null,
+    undo: [], redo: [],
+    previewing: false,
+    status: '',       // last playtest's outcome
+    marker: null,     // …and where along the course it ended
+  };
+}
+
+export const toCourse = (ed, vx, vy) => ({ at: ed.scroll + vx - START_X, alt: GROUND_Y - vy });
+export const toScreenX = (ed, at) => START_X + at - ed.scroll;
+export const toScreenY = (alt) => GROUND_Y - alt;
+
+export function snapTo(ed, v){ return ed.snap ? Math.round(v / SNAP) * SNAP : Math.round(v); }
+
+// Course-space bounds of an item: x0..x1 along the course, y0..y1 in altitude.
+export function itemBox(group, item){
+  if (group === 'coins') {
+    const end = item.at + (item.arc - 1) * ARC_STEP, rise = item.arc > 1 ? ARC_RISE : 0;
+    return { x0: item.at - 9, x1: end + 9, y0: item.alt - 9, y1: item.alt + rise + 9 };
+  }
+  if (group === 'powerups') return { x0: item.at - 16, x1: item.at + 16, y0: item.alt - 16, y1: item.alt + 16 };
+  switch (item.type) {
+    case 'block':    return { x0: item.at, x1: item.at + item.w, y0: 0, y1: item.h };
+    case 'gate':     return { x0: item.at, x1: item.at + item.w, y0: item.alt, y1: item.alt + item.h };
+    case 'drone':    return { x0: item.at - item.r, x1: item.at + item.r, y0: item.alt - item.r, y1: item.alt + item.r };
+    case 'pit':      return { x0: item.at, x1: item.at + item.w, y0: -40, y1: 0 };
+    case 'platform': return { x0: item.at, x1: item.at + item.w, y0: item.alt - 16, y1: item.alt };
+  }
+  return null;
+}
+export const finishBox = (level) => ({ x0: level.length - 6, x1: level.length + FINISH_W, y0: 0, y1: 190 });
+
+// Obstacles and coin arcs have a resize handle (top-right corner); power-ups don't.
+const resizable = (group) => group === 'obstacles' || group === 'coins';
+
+export function selected(ed){
+  const { sel, level } = ed;
+  if (!sel || sel.group === 'finish') return null;
+  return level[sel.group][sel.index] || null;
+}
+
+// Topmost item under a course-space point: { group, index, mode: 'move'|'resize' }
+export function hitTest(ed, at, alt){
+  const { level } = ed;
+  const near = (x, y, bx, by) => Math.abs(x - bx) <= HANDLE && Math.abs(y - by) <= HANDLE;
+  const s = selected(ed);
+  if (s && resizable(ed.sel.group)) {
+    const b = itemBox(ed.sel.group, s);
+    if (near(at, alt, b.x1, b.y1)) return { ...ed.sel, mode: 'resize' };
+  }
+  for (const group of ['powerups', 'coins', 'obstacles']) {
+    for (let i = level[group].length - 1; i >= 0; i--) {
+      const b = itemBox(group, level[group][i]);
+      if (at >= b.x0 && at <= b.x1 && alt >= b.y0 && alt <= b.y1) return { group, index: i, mode: 'move' };
+    }
+  }
+  const f = finishBox(level);
+  if (at >= f.x0 && at <= f.x1 && alt >= f.y0 && alt <= f.y1) return { group: 'finish', index: 0, mode: 'move' };
+  return null;
+}
+
+// ---------- Undo / redo ----------
+// Whole-level snapshots: levels are small, and it keeps every edit undoable.
+function snapshot(ed){ return JSON.stringify(ed.level); }
+function commit(ed){
+  ed.undo.push(snapshot(ed));
+  if (ed.undo.length > UNDO_MAX) ed.undo.shift();
+  ed.redo.length = 0;
+}
+export function undo(ed){
+  if (!ed.undo.length) return false;
+  ed.redo.push(snapshot(ed));
+  ed.level = JSON.parse(ed.undo.pop());
+  ed.sel = null; ed.drag = null;
+  return true;
+}
+export function redo(ed){
+  if (!ed.redo.length) return false;
+  ed.undo.push(snapshot(ed));
+  ed.level = JSON.parse(ed.redo.pop());
+  ed.sel = null; ed.drag = null;
+  return true;
+}
+
+// ---------- Editing ----------
+export function setTool(ed, tool){ if (EDITOR_TOOLS.includes(tool)) ed.tool = tool; }
+
+export function place(ed, tool, at, alt){
+  commit(ed);
+  const group = tool === 'coins' ? 'coins' : 'obstacles';
+  const item = { ...NEW_ITEM[tool], at: Math.max(0, snapTo(ed, at)) };
+  if ('alt' in item) item.alt = clamp(snapTo(ed, alt), item.r || 0, MAX_ALT);
+  ed.level[group].push(item);
+  ed.sel = { group, index: ed.level[group].length - 1 };
+  return item;
+}
+
+export function deleteSelected(ed){
+  if (!selected(ed)) return false;
+  commit(ed);
+  ed.level[ed.sel.group].splice(ed.sel.index, 1);
+  ed.sel = null;
+  return true;
+}
+
+// Pointer input in virtual screen coordinates (VW × VH)
+export function pointerDown(ed, vx, vy){
+  ed.previewing = false;
+  if (inTimeline(vx, vy)) { ed.drag = { mode: 'timeline' }; scrollToTimeline(ed, vx); return; }
+  const { at, alt } = toCourse(ed, vx, vy);
+  if (ed.tool !== 'select') {
+    const item = place(ed, ed.tool, at, alt);
+    ed.drag = { mode: 'move', at, alt, orig: { ...item }, before: null };
+    return;
+  }
+  const hit = hitTest(ed, at, alt);
+  if (!hit) { ed.sel = null; ed.cursor = clamp(snapTo(ed, at), 0, ed.level.length - 1); return; }
+  ed.sel = { group: hit.group, index: hit.index };
+  const orig = hit.group === 'finish' ? { length: ed.level.length } : { ...selected(ed) };
+  ed.drag = { mode: hit.mode, at, alt, orig, before: snapshot(ed) };
+}
+
+export function pointerMove(ed, vx, vy){
+  const { drag } = ed;
+  if (!drag) return;
+  if (drag.mode === 'timeline') { scrollToTimeline(ed, vx); return; }
+  const { at, alt } = toCourse(ed, vx, vy);
+  const dAt = at - drag.at, dAlt = alt - drag.alt, o = drag.orig;
+  if (ed.sel.group === 'finish') { ed.level.length = Math.max(MIN_LENGTH, snapTo(ed, o.length + dAt)); return; }
+  const item = selected(ed);
+  if (drag.mode === 'move') {
+    item.at = Math.max(0, snapTo(ed, o.at + dAt));
+    if ('alt' in o) item.alt = clamp(snapTo(ed, o.alt + dAlt), item.type === 'drone' ? item.r : 0, MAX_ALT);
+    return;
+  }
+  if (ed.sel.group === 'coins') { item.arc = clamp(Math.round(((o.arc - 1) * ARC_STEP + dAt) / ARC_STEP) + 1, 1, MAX_SIZE.arc); return; }
+  // Sizes stay within what parseLevel accepts, so an export always re-imports
+  const min = ed.snap ? SNAP : 4, { w: maxW, h: maxH } = MAX_SIZE;
+  switch (item.type) {
+    case 'block': item.w = clamp(snapTo(ed, o.w + dAt), min, maxW); item.h = clamp(snapTo(ed, o.h + dAlt), min, maxH); break;
+    case 'gate':  item.w = clamp(snapTo(ed, o.w + dAt), min, maxW); item.h = clamp(Math.round(o.h + dAlt), 4, maxH); break;
+    case 'drone': item.r = clamp(Math.round(o.r + dAt), 10, MAX_SIZE.r); item.alt = Math.max(item.r, item.alt); break;
+    default:      item.w = clamp(snapTo(ed, o.w + dAt), min, maxW);
+  }
+}
+
+// Ends a drag; one undo step per drag, none if nothing changed.
+export function pointerUp(ed){
+  const { drag } = ed;
+  ed.drag = null;
+  if (!drag || !drag.before) return;
+  if (drag.before !== snapshot(ed)) {
+    ed.undo.push(drag.before);
+    if (ed.undo.length > UNDO_MAX) ed.undo.shift();
+    ed.redo.length = 0;
+  }
+}
+
+// ---------- View ----------
+const courseEnd = (ed) => ed.level.length + 400;
+function inTimeline(vx, vy){
+  const t = TIMELINE;
+  return vx >= t.x && vx <= t.x + t.w && vy >= t.y - 6 && vy <= t.y + t.h + 6;
+}
+// Timeline x ↔ course distance
+export const timelineX = (ed, at) => TIMELINE.x + clamp(at / courseEnd(ed), 0, 1) * TIMELINE.w;
+function scrollToTimeline(ed, vx){
+  const at = (vx - TIMELINE.x) / TIMELINE.w * courseEnd(ed);
+  ed.scroll = clamp(at - (VW / 2 - START_X), 0, courseEnd(ed));
+}
+export function scrollBy(ed, d){ ed.scroll = clamp(ed.scroll + d, 0, courseEnd(ed)); }
+
+// Preview: the view scrolls at `speed` (px/s) as a run would, until the finish.
+export function togglePreview(ed){ ed.previewing = !ed.previewing; if (ed.previewing && ed.scroll >= ed.level.length) ed.scroll = 0; }
+export function tickEditor(ed, dt, speed){
+  if (!ed.previewing) return;
+  ed.scroll = Math.min(ed.scroll + speed * dt, ed.level.length);
+  if (ed.scroll >= ed.level.length) ed.previewing = false;
+}
+
+// ---------- Files ----------
+export function exportLevel(ed){ return serializeLevel(ed.level); }
+// Throws (from parseLevel) on a bad file; the working copy is untouched then.
+export function importLevel(ed, text){
+  const level = parseLevel(text);
+  commit(ed);
+  ed.level = level;
+  ed.sel = null; ed.scroll = 0; ed.cursor = 0;
+}
+export function renameLevel(ed, name){
+  const id = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  if (!id) return;
+  commit(ed);
+  ed.level.name = name.trim(); ed.level.id = id;
+}
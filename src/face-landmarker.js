@@ -0,0 +1,170 @@
+// src/face-landmarker.js
+// Shared MediaPipe Face Landmarker loader. Every detector strategy uses the same
+// instance; it outputs landmarks and blendshapes so any classifier can run on it.
+// Loads the model as BYTES (modelAssetBuffer) to avoid fragile URL/path issues.
+//
+// createInferenceEngine() runs it in a worker (face-worker.js) when the browser
+// can, so inference doesn't stall the game loop, and on the main thread otherwise.
+
+// tasks-vision 0.10.11 is vendored (see vendor/tasks-vision) so Mood AI works offline.
+const TASKS_VISION = new URL('../vendor/tasks-vision', import.meta.url).href;
+const LOCAL_MODEL = new URL('../models/face_landmarker.task', import.meta.url).href;
+const FALLBACK_MODEL =
+  'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task';
+const WORKER_INIT_MS = 30000;
+
+let loading = null;
+
+// Resolves to { landmarker, vision }; concurrent callers share one load, and a
+// failed load is forgotten so the next call can retry.
+export function loadFaceLandmarker() {
+  if (!loading) loading = load().catch((e) => { loading = null; throw e; });
+  return loading;
+}
+
+// Just the tasks-vision JS (DrawingUtils, connection sets), no model or WASM.
+export function loadVision() { return import(`${TASKS_VISION}/vision_bundle.mjs`); }
+
+async function load() {
+  // Dynamically import to avoid blocking first paint
+  const vision = await loadVision();
+
+  let modelBytes = await tryModel(LOCAL_MODEL);
+  if (!modelBytes) modelBytes = await tryModel(FALLBACK_MODEL);
+  if (!modelBytes) throw new Error('Unable to load face_landmarker.task from local or fallback URL');
+
+  const { FaceLandmarker, FilesetResolver } = vision;
+  const fileset = await FilesetResolver.forVisionTasks(`${TASKS_VISION}/wasm`);
+  const landmarker = await FaceLandmarker.createFromOptions(fileset, {
+    baseOptions: { modelAssetBuffer: modelBytes },
+    outputFaceBlendshapes: true,
+    runningMode: 'VIDEO',
+    numFaces: 2   // a second face is detected so it can be ignored (see primaryFace)
+  });
+  return { landmarker, vision };
+}
+
+async function tryModel(url) {
+  try {
+    const res = await fetch(url, { cache: 'force-cache' });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return new Uint8Array(await res.arrayBuffer());
+  } catch {
+    return null;
+  }
+}
+
+// ---------- Inference engines ----------
+// An engine is { mode: 'worker'|'main', vision, detect(video, ts, { landmarks }), close() },
+// plus `dead` for a worker engine whose worker has crashed.
+// detect() resolves to a Face Landmarker-shaped result (plus `faces`, `inferMs`
+// and, for the worker, `roundTripMs`), or null if the frame was dropped.
+export function workerSupported() {
+  return typeof Worker !== 'undefined' && typeof createImageBitmap === 'function'
+    && typeof OffscreenCanvas !== 'undefined';
+}
+
+export async function createInferenceEngine({ worker = true } = {}) {
+  if (worker && workerSupported()) {
+    try { return await createWorkerEngine(); }
+    catch (e) { console.warn('[MoodAI] Worker inference unavailable, using the main thread:', e.message || e); }
+  }
+  return createMainEngine();
+}
+
+async function createMainEngine() {
+  const { landmarker, vision } = await loadFaceLandmarker();
+  return {
+    mode: 'main',
+    vision,
+    async detect(video, ts) {
+      const t0 = performance.now();
+      const res = landmarker.detectForVideo(video, ts);
+      return { ...res, inferMs: performance.now() - t0 };
+    },
+    close() {},
+  };
+}
+
+function createWorkerEngine() {
+  return new Promise((resolve, reject) => {
+    // Classic worker (see face-worker.js): tasks-vision needs importScripts() there
+    const worker = new Worker(new URL('./face-worker.js', import.meta.url));
+    let ready = false, pending = null;
+    const fail = (err) => { clearTimeout(timer); worker.terminate(); reject(err); };
+    const timer = setTimeout(() => fail(new Error('worker did not start in time')), WORKER_INIT_MS);
+    // A crash once running (WASM abort, out of memory) kills the engine: the frame
+    // in flight resolves to null and no more are sent. The detector sees `dead`
+    // and replaces it.
+    const die = (err) => {
+      if (engine.dead) return;
+      engine.dead = true;
+      console.error('[MoodAI] inference worker died:', err.message);
+      worker.terminate();
+      if (pending) pending.done(null);
+      pending = null;
+    };
+
+    const engine = {
+      mode: 'worker',
+      vision: null,
+      dead: false,
+      async detect(video, ts, { landmarks = false } = {}) {
+        if (engine.dead) return null;
+        const bitmap = await createImageBitmap(video);
+        if (engine.dead) { bitmap.close(); return null; }
+        return new Promise((done) => {
+          pending = { done, sent: performance.now() };
+          worker.postMessage({ type: 'frame', bitmap, ts, landmarks }, [bitmap]);
+        });
+      },
+      close() {
+        worker.terminate();
+        if (pending) pending.done(null);
+        pending = null;
+      },
+    };
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'ready') {
+        ready = true; clearTimeout(timer);
+        loadVision().then((v) => { engine.vision = v; }, () => {});
+        resolve(engine);
+      } else if (data.type === 'error') {
+        (ready ? die : fail)(new Error(data.message));
+      } else if (data.type === 'result' && pending) {
+        const { done, sent } = pending;
+        pending = null;
+        if (data.error) { console.error('[MoodAI] worker inference failed:', data.error); done(null); return; }
+        done(fromWorkerResult(data, performance.now() - sent));
+      }
+    };
+    worker.onerror = (e) => {
+      e.preventDefault?.();
+      if (!ready) fail(new Error(e.message || 'worker failed to load'));
+      else die(new Error(e.message || 'worker crashed'));
+    };
+    worker.postMessage({ type: 'init' });
+  });
+}
+
+// The worker posts { faces, scores: { categoryName: score }, landmarks? } for the
+// primary face only; rebuild the result shape the strategies expect.
+export function fromWorkerResult({ faces, scores, landmarks, inferMs }, roundTripMs) {
+  return {
+    faces,
+    faceBlendshapes: scores
+      ? [{ categories: Object.entries(scores).map(([categoryName, score]) => ({ categoryName, score })) }]
+      : [],
+    faceLandmarks: landmarks ? [landmarks] : [],
+    inferMs,
+    roundTripMs,
+  };
+}
+
+export function toWorkerResult(res, { landmarks = false } = {}) {
+  const cats = res?.faceBlendshapes?.[0]?.categories;
+  const scores = cats ? Object.fromEntries(cats.map(c => [c.categoryName, c.score])) : null;
+  const lms = landmarks ? res?.faceLandmarks?.[0] : null;
+  return { scores, landmarks: lms ? lms.map(({ x, y, z }) => ({ x, y, z })) : null };
+}
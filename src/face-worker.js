@@ -0,0 +1,41 @@
+// src/face-worker.js
+// Worker that runs the Face Landmarker off the main thread. Frames arrive as
+// transferred ImageBitmaps; back go the primary face's blendshape scores (its
+// landmarks only when asked for) and how long inference took.
+//
+// A classic worker, not a module one: tasks-vision loads its WASM glue with
+// importScripts(), which module workers lack. The modules come in via import().
+
+let landmarker = null, toWorkerResult = null, faceCount = null, primaryFace = null;
+
+self.onmessage = async ({ data }) => {
+  if (data.type === 'init') {
+    try {
+      const [fl, strategies] = await Promise.all([import('./face-landmarker.js'), import('./mood-strategies.js')]);
+      ({ toWorkerResult } = fl);
+      ({ faceCount, primaryFace } = strategies);
+      ({ landmarker } = await fl.loadFaceLandmarker());
+      self.postMessage({ type: 'ready' });
+    } catch (e) {
+      self.postMessage({ type: 'error', message: e.message || String(e) });
+    }
+    return;
+  }
+
+  if (data.type === 'frame') {
+    const { bitmap, ts, landmarks } = data;
+    try {
+      const t0 = performance.now();
+      const res = landmarker.detectForVideo(bitmap, ts);
+      const inferMs = performance.now() - t0;
+      self.postMessage({
+        type: 'result', ts, inferMs, faces: faceCount(res),
+        ...toWorkerResult(primaryFace(res), { landmarks })
+      });
+    } catch (e) {
+      self.postMessage({ type: 'result', ts, error: e.message || String(e) });
+    } finally {
+      bitmap.close();
+    }
+  }
+};
@@ -0,0 +1,36 @@
+// src/ghost.js
+// Personal-best ghost: the best run's positions, sampled every few sim ticks and
+// kept in localStorage next to the high score.
+
+const GHOST_KEY = 'emotionEscapeGhost';
+const MAX_SAMPLES = 20000; // ~11 min at 30 samples/s
+
+export function createGhostRecorder(interval) {
+  const pos = [];
+  return {
+    push(x, y) { if (pos.length < MAX_SAMPLES * 2) pos.push(Math.round(x), Math.round(y)); },
+    finish(extra = {}) { return { interval, pos: pos.slice(), ...extra }; }
+  };
+}
+
+export function loadGhost() {
+  try {
+    const g = JSON.parse(localStorage.getItem(GHOST_KEY) || 'null');
+    return g && g.interval > 0 && Array.isArray(g.pos) ? g : null;
+  } catch { return null; }
+}
+
+export function saveGhost(g) {
+  try { localStorage.setItem(GHOST_KEY, JSON.stringify(g)); } catch { /* quota: keep the old ghost */ }
+}
+
+// Interpolated position at run time t, or null once the ghost's run has ended.
+export function ghostAt(g, t) {
+  const f = t / g.interval, i = Math.floor(f), n = g.pos.length / 2;
+  if (i >= n - 1) return null;
+  const k = f - i;
+  return {
+    x: g.pos[i*2]   + (g.pos[i*2+2] - g.pos[i*2])   * k,
+    y: g.pos[i*2+1] + (g.pos[i*2+3] - g.pos[i*2+1]) * k
+  };
+}
@@ -0,0 +1,187 @@
+// src/level.js
+// Handcrafted stages: the JSON level format, its validation, and star ratings.
+// Pure — world.js places the entries, main.js fetches the files in levels/.
+//
+// Distances (`at`, `length`) are px along the course from the runner's start
+// position; heights (`alt`, `h`) are px above the ground line.
+//
+// {
+//   "v": 1, "id": "first-steps", "name": "First Steps", "description": "…",
+//   "length": 6000,                     // the finish line
+//   "mood": "calm",                     // optional: lock the stage to one mood
+//   "zones": [{ "at": 2400, "mood": "stressed" }],  // optional: mood by distance
+//   "obstacles": [
+//     { "type": "block",    "at": 600,  "w": 60, "h": 90 },
+//     { "type": "gate",     "at": 900,  "w": 180, "alt": 220, "h": 12 },  // "curtain": true to slide under
+//     { "type": "drone",    "at": 1300, "alt": 160, "r": 24, "bob": 60 },
+//     { "type": "pit",      "at": 1700, "w": 140 },
+//     { "type": "platform", "at": 2000, "w": 240, "alt": 70 }
+//   ],
+//   "coins": [{ "at": 700, "alt": 150 }, { "at": 1000, "alt": 120, "arc": 6, "worth": 5 }],
+//   "powerups": [{ "at": 1500, "alt": 120, "kind": "shield" }],
+//   "stars": { "coins": 10, "time": 19 }  // optional targets for the 2nd and 3rd star
+// }
+//
+// Without "mood" or "zones" the player's own mood drives the stage, as in endless runs.
+
+import { MOODS } from './mood-classify.js';
+import { POWERUP_KINDS } from './powerups.js';
+
+export const LEVEL_VERSION = 1;
+export const OBSTACLE_TYPES = ['block', 'gate', 'drone', 'pit', 'platform'];
+
+// Per-type fields: required numbers, then optional ones with their defaults
+const FIELDS = {
+  block:    { need: ['w', 'h'], opt: {} },
+  gate:     { need: ['w', 'alt'], opt: { h: 12, curtain: false } },
+  drone:    { need: ['alt'], opt: { r: 24, bob: 0 } },
+  pit:      { need: ['w'], opt: {} },
+  platform: { need: ['w', 'alt'], opt: {} },
+};
+
+// Largest sizes a stage may use (px; coins per arc) — past these it's a typo.
+// Heights (`alt`) run from the ground line up to MAX_ALT; coins are worth 1…MAX_WORTH.
+export const MAX_SIZE = { w: 2000, h: 600, r: 60, arc: 40 };
+export const MAX_ALT = 400, MAX_WORTH = 100;
+
+const num = (v) => typeof v === 'number' && Number.isFinite(v);
+const altOk = (v) => v >= 0 && v <= MAX_ALT;
+const ALT_RANGE = `outside 0–${MAX_ALT}`;
+
+// Validates a level (object or JSON text) and fills in defaults; throws with a
+// message naming the bad entry.
+export function parseLevel(input) {
+  const d = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!d || typeof d !== 'object') throw new Error('Level is not an object');
+  if (d.v !== LEVEL_VERSION) throw new Error('Unsupported level version');
+  if (typeof d.id !== 'string' || !d.id) throw new Error('Level is missing an id');
+  if (!num(d.length) || d.length <= 0) throw new Error('Level is missing its length');
+  if (d.mood !== undefined && d.mood !== null && !MOODS.includes(d.mood)) throw new Error(`Level has an invalid mood "${d.mood}"`);
+
+  const zones = (d.zones || []).map((z, i) => {
+    if (!z || !num(z.at) || !MOODS.includes(z.mood)) throw new Error(`Level zone ${i} is malformed`);
+    return { at: z.at, mood: z.mood };
+  }).sort((a, b) => a.at - b.at);
+
+  const obstacles = (d.obstacles || []).map((o, i) => {
+    const f = o && FIELDS[o.type];
+    if (!f) throw new Error(`Level obstacle ${i} has an unknown type "${o && o.type}"`);
+    if (!num(o.at)) throw new Error(`Level obstacle ${i} (${o.type}) is missing "at"`);
+    const bad = (why) => new Error(`Level obstacle ${i} (${o.type}) ${why}`);
+    const size = (k) => {
+      if (k in MAX_SIZE && !(o[k] > 0 && o[k] <= MAX_SIZE[k])) throw bad(`has "${k}" outside 0–${MAX_SIZE[k]}`);
+      if (k === 'alt' && !altOk(o[k])) throw bad(`has "alt" ${ALT_RANGE}`);
+      return o[k];
+    };
+    const out = { type: o.type, at: o.at };
+    for (const k of f.need) {
+      if (!num(o[k])) throw bad(`is missing "${k}"`);
+      out[k] = size(k);
+    }
+    for (const [k, def] of Object.entries(f.opt)) {
+      if (o[k] === undefined || o[k] === null) out[k] = def;
+      else if (typeof def === 'boolean') {
+        if (typeof o[k] !== 'boolean') throw bad(`has "${k}" that isn't true or false`);
+        out[k] = o[k];
+      } else {
+        if (!num(o[k])) throw bad(`has "${k}" that isn't a number`);
+        out[k] = size(k);
+      }
+    }
+    return out;
+  });
+
+  const coins = (d.coins || []).map((c, i) => {
+    if (!c || !num(c.at) || !num(c.alt)) throw new Error(`Level coin ${i} is malformed`);
+    if (!altOk(c.alt)) throw new Error(`Level coin ${i} has "alt" ${ALT_RANGE}`);
+    if (num(c.arc) && c.arc > MAX_SIZE.arc) throw new Error(`Level coin ${i} has an arc longer than ${MAX_SIZE.arc}`);
+    const worth = c.worth ?? 1;
+    if (!Number.isInteger(worth) || worth < 1 || worth > MAX_WORTH) throw new Error(`Level coin ${i} has "worth" that isn't a whole number from 1 to ${MAX_WORTH}`);
+    return { at: c.at, alt: c.alt, worth, arc: num(c.arc) ? Math.max(1, Math.round(c.arc)) : 1 };
+  });
+
+  const powerups = (d.powerups || []).map((u, i) => {
+    if (!u || !num(u.at) || !num(u.alt) || !POWERUP_KINDS.includes(u.kind)) throw new Error(`Level power-up ${i} is malformed`);
+    if (!altOk(u.alt)) throw new Error(`Level power-up ${i} has "alt" ${ALT_RANGE}`);
+    return { at: u.at, alt: u.alt, kind: u.kind };
+  });
+
+  return {
+    v: LEVEL_VERSION, id: d.id, name: typeof d.name === 'string' ? d.name : d.id,
+    description: typeof d.description === 'string' ? d.description : '',
+    length: d.length, mood: d.mood ?? null, zones, obstacles, coins, powerups,
+    stars: { coins: num(d.stars?.coins) ? d.stars.coins : null, time: num(d.stars?.time) ? d.stars.time : null },
+  };
+}
+
+// Back to the compact file form (what the editor exports).
+export function serializeLevel(level) {
+  const { v, id, name, description, length, mood, zones, obstacles, coins, powerups, stars } = level;
+  const out = { v, id, name, description, length };
+  if (mood) out.mood = mood;
+  if (zones.length) out.zones = zones;
+  out.obstacles = obstacles; out.coins = coins; out.powerups = powerups;
+  if (stars.coins !== null || stars.time !== null) out.stars = stars;
+  return JSON.stringify(out, null, 2);
+}
+
+// Does the stage set the mood instead of the player?
+export const moodLocked = (level) => !!(level.mood || level.zones.length);
+
+// Mood at a distance along the course, or null when the player's mood applies.
+export function levelMoodAt(level, distance) {
+  let m = level.mood;
+  for (const z of level.zones) if (z.at <= distance) m = z.mood;
+  return m || (level.zones.length ? level.zones[0].mood : null);
+}
+
+// Everything to place, in course order: { at, group: 'obstacles'|'coins'|'pickups', item }
+// Coin arcs are expanded here (same spacing as the procedural ones).
+export const ARC_STEP = 28, ARC_RISE = 46;
+export function levelEntries(level) {
+  const out = [];
+  for (const o of level.obstacles) out.push({ at: o.at, group: 'obstacles', item: o });
+  for (const c of level.coins) {
+    for (let i = 0; i < c.arc; i++) {
+      const lift = c.arc > 1 ? Math.sin(i / (c.arc - 1) * Math.PI) * ARC_RISE : 0;
+      out.push({ at: c.at + i * ARC_STEP, group: 'coins', item: { alt: c.alt + lift, worth: c.worth } });
+    }
+  }
+  for (const u of level.powerups) out.push({ at: u.at, group: 'pickups', item: u });
+  return out.sort((a, b) => a.at - b.at);
+}
+
+export function totalCoinValue(level) {
+  return level.coins.reduce((a, c) => a + c.worth * c.arc, 0);
+}
+
+// ★ for finishing, ★ for the coin target (default: 80% of the coins on the
+// course), ★ for the time target (default: none — two stars max).
+export function starsFor(level, { finished, time, coins }) {
+  if (!finished) return 0;
+  const coinTarget = level.stars.coins ?? Math.ceil(totalCoinValue(level) * 0.8);
+  let stars = 1;
+  if (coins >= coinTarget) stars++;
+  if (level.stars.time !== null && time <= level.stars.time) stars++;
+  return stars;
+}
+
+// levels/index.json lists the stage files in campaign order. Resolves to
+// { stages, failed: [{ file, error }] }: one missing or broken stage file is
+// skipped rather than losing the whole campaign.
+export async function fetchStages(base = 'levels/', fetchFn = fetch) {
+  const res = await fetchFn(`${base}index.json`);
+  if (!res.ok) throw new Error(`Could not load ${base}index.json (${res.status})`);
+  const files = await res.json();
+  const results = await Promise.allSettled(files.map(async (f) => {
+    const r = await fetchFn(base + f);
+    if (!r.ok) throw new Error(`Could not load ${base}${f} (${r.status})`);
+    return parseLevel(await r.text());
+  }));
+  const stages = [], failed = [];
+  results.forEach((r, i) => {
+    if (r.status === 'fulfilled') stages.push(r.value);
+    else failed.push({ file: files[i], error: r.reason });
+  });
+  return { stages, failed };
+}
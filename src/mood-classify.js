@@ -0,0 +1,155 @@
+// src/mood-classify.js
+// Pure mood classifiers used by the MediaPipe detectors. No DOM, no camera —
+// fed with recorded blendshapes/landmarks they run under node.
+
+// ---------- Continuous mood ----------
+// Valence (unpleasant → pleasant) and arousal (relaxed → tense), both 0..1.
+// Each label has an anchor; anything in between blends the three worlds.
+export const MOODS = ['happy', 'calm', 'stressed'];
+export const MOOD_VECTORS = {
+  happy:    { valence: 0.85, arousal: 0.55 },
+  calm:     { valence: 0.50, arousal: 0.20 },
+  stressed: { valence: 0.15, arousal: 0.85 },
+};
+
+// Inverse-distance weights of a vector to the three anchors (sum to 1).
+export function moodWeights({ valence, arousal }) {
+  const w = {};
+  let sum = 0;
+  for (const m of MOODS) {
+    const a = MOOD_VECTORS[m];
+    const d2 = (valence - a.valence) ** 2 + (arousal - a.arousal) ** 2;
+    if (d2 < 1e-6) return { happy: 0, calm: 0, stressed: 0, [m]: 1 };
+    w[m] = 1 / d2; sum += w[m];
+  }
+  for (const m of MOODS) w[m] /= sum;
+  return w;
+}
+
+// ---------- Blendshapes (v3) ----------
+export function analyzeBlendshapes(blendshapes) {
+  const map = {};
+  for (const b of blendshapes) map[b.categoryName] = b.score;
+
+  const smile = ((map['mouthSmileLeft'] || 0) + (map['mouthSmileRight'] || 0)) * 0.5;
+  const jaw   = (map['jawOpen'] || 0);
+  const brow  = ((map['browDownLeft'] || 0) + (map['browDownRight'] || 0)) * 0.5;
+
+  return { smile, jaw, brow };
+}
+
+// Deltas over the neutral baseline. A mood is entered at *Enter and held until the
+// signal drops below *Exit (hysteresis); dwellMs is the minimum time between switches.
+export const DEFAULT_THRESHOLDS = {
+  happyEnter: 0.10, happyExit: 0.06,    // smile
+  stressEnter: 0.08, stressExit: 0.05,  // brow down
+  happyBrowMax: 0.05,                   // no happy while frowning
+  stressSmileMax: 0.06,                 // no stressed while smiling
+  dwellMs: 1200,
+};
+
+export function toMood({ smile, brow }, base, th = DEFAULT_THRESHOLDS, current = 'calm') {
+  // Calibrated thresholds around neutral baseline
+  const s = smile - base.smile;
+  const b = brow  - base.brow;
+
+  if (current === 'happy' && s > th.happyExit && b < th.happyBrowMax) return 'happy';
+  if (current === 'stressed' && b > th.stressExit && s < th.stressSmileMax) return 'stressed';
+  if (s > th.happyEnter && b < th.happyBrowMax) return 'happy';
+  if (b > th.stressEnter && s < th.stressSmileMax) return 'stressed';
+  return 'calm';
+}
+
+// Stateful wrapper: hysteresis + minimum dwell per mood. `now` is in ms.
+export function createMoodGate(thresholds = {}) {
+  let th = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  let mood = 'calm', since = -Infinity;
+  return {
+    get mood() { return mood; },
+    get thresholds() { return th; },
+    configure(t) { th = { ...th, ...t }; },
+    reset(m = 'calm') { mood = m; since = -Infinity; },
+    update(features, base, now) {
+      const next = toMood(features, base, th, mood);
+      if (next !== mood && now - since >= th.dwellMs) { mood = next; since = now; }
+      return mood;
+    }
+  };
+}
+
+// ---------- Per-user calibration ----------
+export function averageFeatures(samples) {
+  const n = samples.length || 1;
+  const sum = (k) => samples.reduce((a, f) => a + (f[k] || 0), 0) / n;
+  return { smile: sum('smile'), brow: sum('brow'), jaw: sum('jaw') };
+}
+
+// Thresholds from a user's neutral / smile / frown averages. Enter sits halfway to
+// their full expression, exit at 30%, so a weak smiler still gets a reachable
+// happy and a strong one doesn't trip it with a grin. Throws if an expression
+// barely moved its feature — those thresholds would fire on noise.
+export const MIN_EXPRESSION_DELTA = 0.04;
+
+export function deriveThresholds({ neutral, smile, frown }) {
+  const ds = smile.smile - neutral.smile;
+  const db = frown.brow - neutral.brow;
+  if (ds < MIN_EXPRESSION_DELTA) throw new Error('Smile was too close to neutral — try a bigger smile');
+  if (db < MIN_EXPRESSION_DELTA) throw new Error('Frown was too close to neutral — pull your brows down harder');
+
+  const happyEnter = ds * 0.5, stressEnter = db * 0.5;
+  return {
+    ...DEFAULT_THRESHOLDS,
+    happyEnter, happyExit: ds * 0.3,
+    stressEnter, stressExit: db * 0.3,
+    // Smiling may move the brows a little (and frowning the mouth); allow what
+    // this user showed plus a margin, but never beyond the other mood's entry.
+    happyBrowMax: Math.min(stressEnter, Math.max(0, smile.brow - neutral.brow) + db * 0.2),
+    stressSmileMax: Math.min(happyEnter, Math.max(0, frown.smile - neutral.smile) + ds * 0.2),
+  };
+}
+
+// Same deltas as toMood, as a continuous vector. Scaled so the happy/stressed
+// thresholds land roughly between calm and the matching anchor.
+export function toMoodVector({ smile, brow }, base) {
+  const s = smile - base.smile;
+  const b = brow  - base.brow;
+  return {
+    valence: clamp01(0.5 + 2.5 * s - 2.5 * b),
+    arousal: clamp01(0.2 + 6 * Math.max(0, b) + 2.5 * Math.max(0, s)),
+  };
+}
+
+// ---------- Landmark geometry (v1) ----------
+export function landmarkScores(lms) {
+  const LM = (i) => lms[i];
+  const dx = dist(LM(61), LM(291));            // mouth width
+  const mouthOpen = Math.abs(LM(13).y - LM(14).y);
+  const browRaise = Math.abs(LM(105).y - LM(159).y);
+  const faceW = dist(LM(33), LM(263)) + 1e-6;
+
+  const smileRatio = (dx / faceW) / (mouthOpen / faceW + 1e-6);
+
+  const happy  = clamp01((smileRatio - 1.5) / 0.6);
+  const stress = clamp01(((0.02 - mouthOpen) / 0.02) * 0.6 + ((0.02 - browRaise) / 0.02) * 0.4);
+  return { happy, stress };
+}
+
+// Decision on the EMA-smoothed scores
+export const SCORE_ENTER = 0.55;
+export function scoresToMood(emaHappy, emaStress) {
+  if (emaHappy > SCORE_ENTER && emaHappy > emaStress + 0.15) return 'happy';
+  if (emaStress > SCORE_ENTER && emaStress > emaHappy + 0.10) return 'stressed';
+  return 'calm';
+}
+
+export function scoresToVector(emaHappy, emaStress) {
+  return {
+    valence: clamp01(0.5 + 0.5 * (emaHappy - emaStress)),
+    arousal: clamp01(0.2 + 0.65 * emaStress + 0.35 * emaHappy),
+  };
+}
+
+// utils
+export const dist = (a,b)=>Math.hypot(a.x-b.x, a.y-b.y);
+export const clamp01 = (v)=>Math.max(0, Math.min(1, v));
+export const lerp = (a,b,t)=>a+(b-a)*t;
@@ -0,0 +1,112 @@
+// src/mood-debug.js
+// Mood AI debug overlay drawn over the webcam preview: face landmarks plus live
+// meters for smile / brow / jaw (raw and EMA-smoothed), the neutral baseline
+// and the thresholds the mood decision is currently using. With the landmark
+// geometry strategy the meters show its happy / stress scores instead.
+
+import { SCORE_ENTER } from './mood-classify.js';
+
+let canvas = null;
+let ctx = null;
+let drawer = null;
+let enabled = false;
+
+const COL = { raw:'rgba(255,255,255,.35)', ema:'#7bdcff', neutral:'#ffffff', enter:'#ffd34d', exit:'#ff9b4d' };
+
+export function initMoodDebug(canvasEl) {
+  canvas = canvasEl;
+  ctx = canvas.getContext('2d');
+  canvas.hidden = !enabled;
+}
+
+export function setMoodDebug(on) {
+  enabled = !!on;
+  if (!canvas) return;
+  canvas.hidden = !enabled;
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+}
+export function isMoodDebug() { return enabled; }
+
+// One row per feature. Thresholds are deltas over neutral, so the marks sit
+// at baseline + enter/exit; jaw has no threshold and only shows its baseline.
+export function debugMeters({ kind = 'blendshapes', raw, ema, neutral, thresholds: th }) {
+  if (kind === 'landmarks') {
+    const score = (key) => ({
+      key, raw: raw ? raw[key] : null, ema: ema ? ema[key] : null, neutral: null, enter: SCORE_ENTER, exit: null
+    });
+    return [score('happy'), score('stress')];
+  }
+  const row = (key, enter, exit) => ({
+    key,
+    raw: raw ? raw[key] : null,
+    ema: ema ? ema[key] : null,
+    neutral: neutral ? neutral[key] : null,
+    enter: neutral && enter !== undefined ? neutral[key] + enter : null,
+    exit: neutral && exit !== undefined ? neutral[key] + exit : null,
+  });
+  return [
+    row('smile', th.happyEnter, th.happyExit),
+    row('brow', th.stressEnter, th.stressExit),
+    row('jaw'),
+  ];
+}
+
+export function drawMoodDebug(sample, vision) {
+  if (!enabled || !canvas) return;
+  const video = document.getElementById('cam');
+  if (video && video.videoWidth && canvas.width !== video.videoWidth) {
+    canvas.width = video.videoWidth; canvas.height = video.videoHeight;
+  }
+  const W = canvas.width, H = canvas.height;
+  ctx.clearRect(0, 0, W, H);
+
+  if (sample.landmarks && vision) drawLandmarks(sample.landmarks, vision);
+
+  // Meters along the bottom
+  const rows = debugMeters(sample);
+  const pad = 8, rowH = 14, x0 = 46, bw = W - x0 - pad;
+  let y = H - pad - rows.length * (rowH + 4) - 16;
+  ctx.fillStyle = 'rgba(0,0,0,.55)';
+  ctx.fillRect(0, y - 6, W, H - y + 6);
+
+  ctx.font = '11px ui-monospace, monospace';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#e9ecf1';
+  const state = sample.raw ? (sample.calibrating ? 'calibrating…' : sample.mood) : 'no face';
+  ctx.fillText(`${sample.strategy || 'mood'}: ${state}`, pad, y + 5);
+  if (sample.latency) {
+    ctx.textAlign = 'right';
+    ctx.fillText(`${sample.mode} ${Math.round(sample.latency.inferMs)} ms`, W - pad, y + 5);
+    ctx.textAlign = 'left';
+  }
+  y += 16;
+
+  const px = (v) => x0 + Math.max(0, Math.min(1, v)) * bw;
+  for (const r of rows) {
+    ctx.fillStyle = '#a8b0c2';
+    ctx.fillText(r.key.slice(0, 6), pad, y + rowH / 2);
+    ctx.fillStyle = '#23263a';
+    ctx.fillRect(x0, y, bw, rowH);
+    if (r.raw !== null) { ctx.fillStyle = COL.raw; ctx.fillRect(x0, y, px(r.raw) - x0, rowH / 2); }
+    if (r.ema !== null) { ctx.fillStyle = COL.ema; ctx.fillRect(x0, y + rowH / 2, px(r.ema) - x0, rowH / 2); }
+    mark(px, r.neutral, y, rowH, COL.neutral);
+    mark(px, r.exit, y, rowH, COL.exit);
+    mark(px, r.enter, y, rowH, COL.enter);
+    y += rowH + 4;
+  }
+}
+
+function mark(px, v, y, h, color) {
+  if (v === null) return;
+  ctx.fillStyle = color;
+  ctx.fillRect(Math.round(px(v)) - 1, y - 2, 2, h + 4);
+}
+
+function drawLandmarks(landmarks, { DrawingUtils, FaceLandmarker }) {
+  if (!drawer) drawer = new DrawingUtils(ctx);
+  drawer.drawConnectors(landmarks, FaceLandmarker.FACE_LANDMARKS_TESSELATION, { color: 'rgba(192,192,192,.35)', lineWidth: 0.5 });
+  drawer.drawConnectors(landmarks, FaceLandmarker.FACE_LANDMARKS_LIPS, { color: '#ffd34d', lineWidth: 1.5 });
+  drawer.drawConnectors(landmarks, FaceLandmarker.FACE_LANDMARKS_LEFT_EYEBROW, { color: '#ff7b88', lineWidth: 1.5 });
+  drawer.drawConnectors(landmarks, FaceLandmarker.FACE_LANDMARKS_RIGHT_EYEBROW, { color: '#ff7b88', lineWidth: 1.5 });
+  drawer.drawConnectors(landmarks, FaceLandmarker.FACE_LANDMARKS_FACE_OVAL, { color: '#7bdcff', lineWidth: 1 });
+}
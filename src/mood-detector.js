@@ -0,0 +1,187 @@
+// src/mood-detector.js
+// One Mood AI detector for every classifier: shared Face Landmarker (in a Web
+// Worker when possible), one inference loop, pluggable strategy (see mood-strategies.js).
+//
+//   const detector = createMoodDetector({ strategy: 'blendshapes' });
+//   await detector.start(video); detector.onSample(s => ...); detector.stop();
+
+import { setMood, setTracking } from './mood.js';
+import { createInferenceEngine } from './face-landmarker.js';
+import { STRATEGIES, DEFAULT_STRATEGY, faceCount, primaryFace } from './mood-strategies.js';
+import { MOOD_VECTORS, moodWeights, MOODS } from './mood-classify.js';
+
+const SAMPLE_MS = 120;   // ~8 FPS inference
+const QUALITY_WINDOW = 10; // inferences behind the tracking quality figure
+const LATENCY_EMA = 0.2;
+
+// What happens to the mood once the face has been gone for graceMs:
+//   'decay' eases the vector back to calm over ~decayMs (label follows the nearest anchor),
+//   'calm' drops to calm at once, 'hold' keeps the last mood.
+export const FACE_LOST_POLICIES = ['decay', 'calm', 'hold'];
+export const DEFAULT_FACE_LOST = { policy: 'decay', graceMs: 800, decayMs: 1500 };
+
+export function createMoodDetector({
+  strategy = DEFAULT_STRATEGY,
+  sampleMs = SAMPLE_MS,
+  worker = true,            // run inference in a Web Worker when the browser can
+  createEngine = createInferenceEngine,
+  onMood = setMood,
+  onTracking = setTracking,
+  faceLost = {},
+} = {}) {
+  let name = STRATEGIES[strategy] ? strategy : DEFAULT_STRATEGY;
+  let classifier = STRATEGIES[name].create();
+  let profile = null;
+  let engine = null, busy = false, wantLandmarks = false;
+  let workerDied = false;   // after a worker crash, engines run on the main thread
+  let latency = null;
+  let running = false, rafId = 0, lastTs = 0, video = null;
+  const listeners = new Set();
+  let lost = { ...DEFAULT_FACE_LOST, ...faceLost };
+  let seen = [], lostSince = null, prevTs = null;
+  let lastMood = null, lastVec = null;
+
+  const publish = (mood, vec) => {
+    lastMood = mood; lastVec = vec || MOOD_VECTORS[mood];
+    onMood(mood, vec || undefined);
+  };
+
+  // No face: after the grace period apply the face-lost policy instead of the classifier.
+  function faceLostMood(ts, dt) {
+    if (ts - lostSince < lost.graceMs || !lastMood || lost.policy === 'hold') return null;
+    if (lost.policy === 'calm') return lastMood === 'calm' ? null : { mood: 'calm', vector: null };
+    const calm = MOOD_VECTORS.calm, k = 1 - Math.exp(-dt / lost.decayMs);
+    const v = {
+      valence: lastVec.valence + (calm.valence - lastVec.valence) * k,
+      arousal: lastVec.arousal + (calm.arousal - lastVec.arousal) * k,
+    };
+    const w = moodWeights(v);
+    return { mood: MOODS.reduce((a, m) => w[m] > w[a] ? m : a, 'calm'), vector: v };
+  }
+
+  const detector = {
+    get strategy() { return name; },
+    get running() { return running; },
+    get kind() { return classifier.kind; },
+    // tasks-vision module once loaded (DrawingUtils / FaceLandmarker connection sets)
+    get vision() { return engine ? engine.vision : null; },
+    // 'worker' | 'main' once started
+    get mode() { return engine ? engine.mode : null; },
+    // Smoothed { inferMs, roundTripMs } of recent inferences (roundTripMs in worker mode only)
+    get latency() { return latency; },
+    // Ask for landmarks even if the strategy doesn't need them (debug overlay)
+    setLandmarksWanted(on) { wantLandmarks = !!on; },
+    get thresholds() { return classifier.thresholds || null; },
+
+    async start(videoEl) {
+      try {
+        if (!engine) engine = await createEngine({ worker: worker && !workerDied });
+      } catch (e) {
+        console.error('Failed to enable MediaPipe mood AI:', e);
+        return false;
+      }
+      video = videoEl;
+      if (running) return true;
+      running = true;
+      lastTs = 0; busy = false; latency = null;
+      classifier.reset();
+      seen = []; lostSince = null; prevTs = null;
+      rafId = requestAnimationFrame(loop);
+      return true;
+    },
+
+    stop() {
+      running = false;
+      if (rafId) cancelAnimationFrame(rafId);
+      rafId = 0;
+      onTracking('off', 0);
+    },
+
+    recalibrate() { classifier.recalibrate(); },
+
+    // Swaps the classifier; a running loop carries on with the new one.
+    setStrategy(next) {
+      if (!STRATEGIES[next] || next === name) return;
+      name = next;
+      classifier = STRATEGIES[name].create();
+      if (classifier.useProfile) classifier.useProfile(profile);
+      classifier.reset();
+    },
+
+    useProfile(p) {
+      profile = p || null;
+      if (classifier.useProfile) classifier.useProfile(profile);
+    },
+    configure(t) { if (classifier.configure) classifier.configure(t); },
+    get faceLost() { return lost; },
+    configureFaceLost(opts) { lost = { ...lost, ...opts }; },
+
+    onSample(fn) { listeners.add(fn); return () => listeners.delete(fn); },
+
+    // One Face Landmarker result → classifier → mood + sample listeners.
+    process(res, ts) {
+      if (Number.isFinite(res.inferMs)) trackLatency(res);
+      const faces = faceCount(res);
+      const dt = prevTs === null ? 0 : ts - prevTs;
+      prevTs = ts;
+      seen.push(faces > 0);
+      if (seen.length > QUALITY_WINDOW) seen.shift();
+      if (faces) lostSince = null;
+      else if (lostSince === null) lostSince = ts;
+
+      let s = classifier.update(primaryFace(res), ts);
+      if (!faces) s = { ...s, mood: null, vector: null, ...faceLostMood(ts, dt) };
+      if (s.mood) publish(s.mood, s.vector);
+
+      const state = !faces ? (ts - lostSince >= lost.graceMs ? 'no-face' : 'tracking')
+        : faces > 1 ? 'multiple' : 'tracking';
+      onTracking(state, seen.filter(Boolean).length / seen.length);
+
+      const sample = {
+        ...s, faces, tracking: state, strategy: name, kind: classifier.kind,
+        thresholds: detector.thresholds, latency, mode: detector.mode, ts
+      };
+      for (const fn of listeners) fn(sample);
+      return sample;
+    },
+  };
+
+  function trackLatency({ inferMs, roundTripMs }) {
+    const ema = (prev, v) => prev === undefined || prev === null ? v : prev + (v - prev) * LATENCY_EMA;
+    latency = {
+      inferMs: ema(latency?.inferMs, inferMs),
+      roundTripMs: Number.isFinite(roundTripMs) ? ema(latency?.roundTripMs, roundTripMs) : null,
+    };
+  }
+
+  // One frame in flight at a time: while the engine is busy, frames are skipped.
+  function loop(ts) {
+    if (!running) return;
+    if (engine && !busy && (!lastTs || ts - lastTs >= sampleMs) && video.readyState >= 2) {
+      lastTs = ts;
+      busy = true;
+      const e = engine;
+      e.detect(video, ts, { landmarks: wantLandmarks || !!classifier.needsLandmarks })
+        .then((res) => {
+          if (e.dead) return replaceDeadEngine(e);
+          if (running && res) detector.process(res, ts);
+        })
+        .catch((e) => console.error('[MoodAI] inference failed:', e))
+        .finally(() => { busy = false; });
+    }
+    rafId = requestAnimationFrame(loop);
+  }
+
+  // The worker crashed mid-run: carry on with a main-thread engine. When stopped,
+  // just drop it; the next start() builds one.
+  async function replaceDeadEngine(dead) {
+    if (engine !== dead) return;
+    engine = null; workerDied = true;
+    if (!running) return;
+    console.warn('[MoodAI] Inference worker died; continuing on the main thread');
+    try { engine = await createEngine({ worker: false }); }
+    catch (e) { console.error('Failed to restart MediaPipe mood AI:', e); detector.stop(); }
+  }
+
+  return detector;
+}
@@ -0,0 +1,42 @@
+// src/mood-profiles.js
+// Named Mood AI calibration profiles ({ neutral, thresholds }) in localStorage,
+// so people sharing a machine each keep their own baseline and thresholds.
+
+const PROFILES_KEY = 'emotionEscapeMoodProfiles';
+const ACTIVE_KEY = 'emotionEscapeMoodProfile';
+
+export function loadProfiles() {
+  try {
+    const p = JSON.parse(localStorage.getItem(PROFILES_KEY) || '{}');
+    return p && typeof p === 'object' && !Array.isArray(p) ? p : {};
+  } catch { return {}; }
+}
+
+export function getProfile(name) {
+  const p = loadProfiles()[name];
+  return p && p.neutral && p.thresholds ? p : null;
+}
+
+export function saveProfile(name, { neutral, thresholds }) {
+  const all = loadProfiles();
+  all[name] = { neutral, thresholds, saved: Date.now() };
+  try { localStorage.setItem(PROFILES_KEY, JSON.stringify(all)); } catch { /* quota */ }
+}
+
+export function deleteProfile(name) {
+  const all = loadProfiles();
+  delete all[name];
+  try { localStorage.setItem(PROFILES_KEY, JSON.stringify(all)); } catch { /* quota */ }
+  if (getActiveProfileName() === name) setActiveProfileName(null);
+}
+
+export function getActiveProfileName() {
+  try { return localStorage.getItem(ACTIVE_KEY) || null; } catch { return null; }
+}
+
+export function setActiveProfileName(name) {
+  try {
+    if (name) localStorage.setItem(ACTIVE_KEY, name);
+    else localStorage.removeItem(ACTIVE_KEY);
+  } catch { /* private mode */ }
+}
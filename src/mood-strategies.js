@@ -0,0 +1,135 @@
+// src/mood-strategies.js
+// Mood detector strategies: stateful classifiers fed one Face Landmarker result
+// per inference. No DOM or camera here — recorded results run under node.
+//
+// A strategy is { label, create() } and create() returns a classifier with
+//   kind, update(result, ts) → sample, reset(), recalibrate()
+// and optionally thresholds / configure(t) / useProfile(p). Set needsLandmarks
+// if it reads result.faceLandmarks (the worker only sends them on request).
+// A sample is { raw, ema, neutral, calibrating, landmarks, mood, vector };
+// raw is null when no face was found, mood null when it should be left alone.
+
+import {
+  analyzeBlendshapes, toMoodVector, createMoodGate, DEFAULT_THRESHOLDS,
+  landmarkScores, scoresToMood, scoresToVector, lerp
+} from './mood-classify.js';
+
+// ---------- Blendshapes (was mood-mediapipe.v3.js) ----------
+// Captures a neutral baseline first, then gates EMA-smoothed deltas over it.
+const CALIBRATE_MS = 1200;
+
+export function createBlendshapeClassifier() {
+  const gate = createMoodGate();
+  let neutral = null, profileNeutral = null, acc = null, ema = null;
+
+  const sample = (raw, landmarks, mood, vector) =>
+    ({ raw, ema: ema && { ...ema }, neutral, calibrating: !neutral, landmarks, mood, vector });
+
+  return {
+    kind: 'blendshapes',
+    get thresholds() { return gate.thresholds; },
+    configure(t) { gate.configure(t); },
+    // Calibration profile ({ neutral, thresholds }); its baseline replaces the
+    // start-up capture. null goes back to the defaults.
+    useProfile(profile) {
+      profileNeutral = profile ? { ...profile.neutral } : null;
+      gate.configure(profile ? profile.thresholds : DEFAULT_THRESHOLDS);
+      this.reset();
+    },
+    reset() { neutral = profileNeutral; acc = null; ema = null; gate.reset('calm'); },
+    recalibrate() { neutral = null; acc = null; ema = null; },
+
+    update(res, ts) {
+      const cats = res?.faceBlendshapes?.[0]?.categories;
+      if (!cats) return sample(null, null, null, null);
+      const vec = analyzeBlendshapes(cats);
+      const landmarks = res.faceLandmarks?.[0] || null;
+
+      // Capture neutral baseline first 1–2 seconds
+      if (!neutral) {
+        if (!acc) acc = { smile:0, brow:0, jaw:0, n:0, t0: ts };
+        acc.smile += vec.smile; acc.brow += vec.brow; acc.jaw += vec.jaw; acc.n++;
+        if (ts - acc.t0 > CALIBRATE_MS) {
+          neutral = { smile: acc.smile/acc.n, brow: acc.brow/acc.n, jaw: acc.jaw/acc.n };
+          acc = null;
+        }
+        gate.reset('calm');
+        return sample(vec, landmarks, 'calm', null);
+      }
+
+      // Small EMA to stabilize
+      if (!ema) ema = { ...vec };
+      ema.smile = ema.smile*0.6 + vec.smile*0.4;
+      ema.brow  = ema.brow *0.6 + vec.brow *0.4;
+      ema.jaw   = ema.jaw  *0.6 + vec.jaw  *0.4;
+
+      return sample(vec, landmarks, gate.update(ema, neutral, ts), toMoodVector(ema, neutral));
+    }
+  };
+}
+
+// ---------- Landmark geometry (was mood-mediapipe.js) ----------
+// EMA of geometric happy/stress scores; decays toward calm when the face is lost.
+const ALPHA = 0.25;
+
+export function createLandmarkClassifier() {
+  let emaHappy = 0, emaStress = 0;
+
+  const sample = (raw, landmarks) => ({
+    raw, ema: { happy: emaHappy, stress: emaStress }, neutral: null, calibrating: false, landmarks,
+    mood: scoresToMood(emaHappy, emaStress), vector: scoresToVector(emaHappy, emaStress)
+  });
+
+  return {
+    kind: 'landmarks',
+    needsLandmarks: true,
+    reset() { emaHappy = 0; emaStress = 0; },
+    recalibrate() { this.reset(); },
+
+    update(res) {
+      const lms = res?.faceLandmarks?.[0];
+      if (!lms) {
+        emaHappy = lerp(emaHappy, 0.15, 0.05);
+        emaStress = lerp(emaStress, 0.15, 0.05);
+        return sample(null, null);
+      }
+      const scores = landmarkScores(lms);
+      emaHappy  = emaHappy  + ALPHA * (scores.happy  - emaHappy);
+      emaStress = emaStress + ALPHA * (scores.stress - emaStress);
+      return sample(scores, lms);
+    }
+  };
+}
+
+// ---------- Multiple faces ----------
+// The landmarker reports up to two faces; classifiers only ever see the player's,
+// taken to be the largest (closest to the camera).
+export function faceCount(res) {
+  if (Number.isFinite(res?.faces)) return res.faces; // worker results carry the count
+  return Math.max(res?.faceLandmarks?.length || 0, res?.faceBlendshapes?.length || 0);
+}
+
+export function primaryFace(res) {
+  const n = Math.max(res?.faceLandmarks?.length || 0, res?.faceBlendshapes?.length || 0);
+  if (n < 2) return res;
+  let best = 0, bestArea = -1;
+  (res.faceLandmarks || []).forEach((lms, i) => {
+    const pts = Object.values(lms);
+    const xs = pts.map(p => p.x), ys = pts.map(p => p.y);
+    const area = (Math.max(...xs) - Math.min(...xs)) * (Math.max(...ys) - Math.min(...ys));
+    if (area > bestArea) { bestArea = area; best = i; }
+  });
+  return {
+    ...res,
+    faceLandmarks: res.faceLandmarks ? [res.faceLandmarks[best]] : [],
+    faceBlendshapes: res.faceBlendshapes ? [res.faceBlendshapes[best]] : [],
+  };
+}
+
+export const STRATEGIES = {
+  blendshapes: { label: 'Blendshapes', create: createBlendshapeClassifier },
+  landmarks:   { label: 'Landmark geometry', create: createLandmarkClassifier },
+};
+export const DEFAULT_STRATEGY = 'blendshapes';
+
+export function registerStrategy(name, strategy) { STRATEGIES[name] = strategy; }
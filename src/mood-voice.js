@@ -0,0 +1,137 @@
+// src/mood-voice.js
+// Microphone mood source for players who'd rather not turn on a webcam: an
+// AnalyserNode on the mic feeds voice-classify.js, which feeds setMood().
+//
+//   const voice = createVoiceDetector();
+//   await voice.start(); voice.onSample(s => ...); voice.stop();
+//
+// analyzeRecording() runs a recorded clip (WAV bytes or an AudioBuffer) through
+// the same AnalyserNode path in an OfflineAudioContext, for tuning and tests.
+
+import { setMood } from './mood.js';
+import { createVoiceClassifier, frameSizeFor } from './voice-classify.js';
+import { cameraErrorCode } from './camera.js';
+
+const HOP_MS = 50;   // one analyser frame every 50 ms
+
+export function createVoiceDetector({ hopMs = HOP_MS, onMood = setMood, ...opts } = {}) {
+  const classifier = createVoiceClassifier(opts);
+  const listeners = new Set();
+  let stream = null, ctx = null, analyser = null, buf = null, timer = 0;
+
+  const detector = {
+    get running() { return !!timer; },
+    get kind() { return classifier.kind; },
+
+    // Opens the mic; rejects with a readable Error (err.code as in MIC_MESSAGES).
+    async start({ onEnded = null } = {}) {
+      if (timer) return true;
+      if (!navigator.mediaDevices?.getUserMedia) throw micError('unsupported');
+      try {
+        // Raw levels: auto gain would flatten exactly the loudness we measure
+        stream = await navigator.mediaDevices.getUserMedia({
+          audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: false }, video: false
+        });
+      } catch (e) {
+        throw micError(cameraErrorCode(e), e);
+      }
+      const track = stream.getAudioTracks()[0];
+      if (track && onEnded) track.addEventListener('ended', () => { if (stream) onEnded(); });
+      ctx = new AudioContext();
+      analyser = ctx.createAnalyser();
+      analyser.fftSize = frameSizeFor(ctx.sampleRate);
+      buf = new Float32Array(analyser.fftSize);
+      ctx.createMediaStreamSource(stream).connect(analyser);   // not to the speakers
+      classifier.reset();
+      timer = setInterval(() => {
+        analyser.getFloatTimeDomainData(buf);
+        detector.process(buf, ctx.sampleRate, performance.now());
+      }, hopMs);
+      return true;
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = 0;
+      if (stream) for (const t of stream.getTracks()) t.stop();
+      if (ctx) ctx.close().catch(() => {});
+      stream = null; ctx = null; analyser = null;
+    },
+
+    // Talk normally for a few seconds afterwards; that becomes the new neutral.
+    recalibrate() { classifier.recalibrate(); },
+
+    onSample(fn) { listeners.add(fn); return () => listeners.delete(fn); },
+
+    // One analyser frame → classifier → mood + sample listeners.
+    process(frame, sampleRate, ts) {
+      const s = classifier.update(frame, sampleRate, ts);
+      if (!s.calibrating) onMood(s.mood, s.vector);
+      const sample = { ...s, kind: classifier.kind, ts };
+      for (const fn of listeners) fn(sample);
+      return sample;
+    },
+  };
+  return detector;
+}
+
+// ---------- Recorded clips ----------
+// Renders the clip through an AnalyserNode offline and returns the frames it
+// would have produced live: [{ t (ms), data: Float32Array }], one per hop.
+export async function analyzeRecording(input, { hopMs = HOP_MS, OfflineContext = globalThis.OfflineAudioContext } = {}) {
+  if (!OfflineContext) throw new Error('OfflineAudioContext is not available');
+  let audio = input;
+  if (!audio.getChannelData) {
+    // WAV / any encoded bytes: decode with a throwaway context
+    const bytes = input instanceof ArrayBuffer ? input : input.buffer.slice(input.byteOffset, input.byteOffset + input.byteLength);
+    audio = await new OfflineContext(1, 1, 44100).decodeAudioData(bytes);
+  }
+  const sr = audio.sampleRate;
+  const ctx = new OfflineContext(1, audio.length, sr);
+  const src = ctx.createBufferSource();
+  src.buffer = audio;
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = frameSizeFor(sr);
+  src.connect(analyser);
+  analyser.connect(ctx.destination);
+
+  const frames = [];
+  const quantum = 128 / sr;  // suspend() only lands on render-quantum boundaries
+  let last = -1;
+  for (let t = hopMs / 1000; t < audio.duration; t += hopMs / 1000) {
+    const at = Math.round(t / quantum) * quantum;
+    if (at <= last || at >= audio.duration) continue;
+    last = at;
+    ctx.suspend(at).then(() => {
+      const data = new Float32Array(analyser.fftSize);
+      analyser.getFloatTimeDomainData(data);
+      frames.push({ t: at * 1000, data });
+      ctx.resume();
+    });
+  }
+  src.start();
+  await ctx.startRendering();
+  return { sampleRate: sr, frames };
+}
+
+// A recorded clip through a fresh voice classifier: every sample, in order.
+export async function classifyRecording(input, opts = {}) {
+  const { sampleRate, frames } = await analyzeRecording(input, opts);
+  const classifier = createVoiceClassifier(opts);
+  return frames.map(f => classifier.update(f.data, sampleRate, f.t));
+}
+
+// Same failure codes as the camera (cameraErrorCode), worded for the mic
+export const MIC_MESSAGES = {
+  denied: 'Microphone permission was denied. Allow it in the browser’s site settings, then try Voice Mood again.',
+  none: 'No microphone found. Connect one, or play with the 1/2/3 mood keys.',
+  'in-use': 'The microphone is in use by another app. Close it there and try again.',
+  unsupported: 'This browser can’t open a microphone here (it needs HTTPS or localhost).',
+  error: 'The microphone could not be started.',
+};
+
+function micError(code, cause) {
+  const err = new Error(MIC_MESSAGES[code], cause ? { cause } : undefined);
+  err.code = code;
+  return err;
+}
@@ -1,11 +1,22 @@
 // Manual mood controller (keys). MediaPipe module will call setMood().
-const moodEl = document.getElementById('mood');
+// Alongside the label we publish a continuous { valence, arousal } vector (0..1);
+// manual keys and label-only callers get the label's anchor vector.
+// Listeners only hear about actual changes: onMoodChange for the label,
+// onMoodVector for the vector.
+// Mood AI also reports face tracking here: state 'off' | 'tracking' | 'no-face' |
+// 'multiple' plus quality 0..1 (share of recent inferences that found a face).
+import { MOOD_VECTORS } from './mood-classify.js';
 
 let currentMood = 'calm'; // 'happy' | 'calm' | 'stressed'
+let currentVector = { ...MOOD_VECTORS.calm };
 const listeners = new Set();
+const vectorListeners = new Set();
+let tracking = { state: 'off', quality: 0 };
+const trackingListeners = new Set();
 
 export function initMoodControls() {
   window.addEventListener('keydown', (e) => {
+    if (e.target?.closest?.('input, select, textarea')) return;   // typing "Stage 2"
     if (e.key === '1') setMood('happy');
     if (e.key === '2') setMood('calm');
     if (e.key === '3') setMood('stressed');
@@ -13,13 +24,39 @@ export function initMoodControls() {
   renderMood();
 }
 
-export function setMood(m) {
+// Vectors are published at 0.01 resolution so recorded runs replay exactly.
+export function setMood(m, vector = MOOD_VECTORS[m]) {
+  const vec = { valence: round2(vector.valence), arousal: round2(vector.arousal) };
+  const labelChanged = m !== currentMood;
+  const vecChanged = vec.valence !== currentVector.valence || vec.arousal !== currentVector.arousal;
+  if (!labelChanged && !vecChanged) return;
+
   currentMood = m;
+  currentVector = vec;
   renderMood();
-  listeners.forEach(fn => fn(m));
+  if (labelChanged) listeners.forEach(fn => fn(m, currentVector));
+  if (vecChanged) vectorListeners.forEach(fn => fn(currentVector, m));
+}
+
+export function setTracking(state, quality = state === 'tracking' ? 1 : 0) {
+  const q = Math.round(quality * 10) / 10;
+  if (state === tracking.state && q === tracking.quality) return;
+  tracking = { state, quality: q };
+  trackingListeners.forEach(fn => fn(tracking));
 }
 
 export function onMoodChange(fn) { listeners.add(fn); }
+export function onMoodVector(fn) { vectorListeners.add(fn); }
 export function getMood() { return currentMood; }
+export function getMoodVector() { return currentVector; }
+export function onTrackingChange(fn) { trackingListeners.add(fn); }
+export function getTracking() { return tracking; }
 
-function renderMood(){ moodEl.textContent = currentMood; }
+function renderMood(){
+  if (typeof document === 'undefined') return;
+  const moodEl = document.getElementById('mood');
+  const moodVecEl = document.getElementById('moodVector');
+  if (moodEl) moodEl.textContent = currentMood;
+  if (moodVecEl) moodVecEl.textContent = `valence ${currentVector.valence.toFixed(2)} · arousal ${currentVector.arousal.toFixed(2)}`;
+}
+const round2 = (v) => Math.round(v * 100) / 100;
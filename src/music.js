@@ -0,0 +1,116 @@
+// src/music.js
+// Procedural score for the background music: per-mood tempo, scale, chord
+// progression and parts, stepped in 16th notes. Pure — audio.js turns the
+// note events into Web Audio voices; tests read them directly.
+//
+// A style's parts({ chord, tone }, stepInBar, bar, step) returns the note events
+// starting on that 16th: { voice, midi, steps, vel } (steps = length in 16ths;
+// 'hat' has no pitch). chord(size, octave) is the bar's chord, tone(n) the
+// scale note n steps above its root.
+
+const MAJOR    = [0, 2, 4, 5, 7, 9, 11];
+const LYDIAN   = [0, 2, 4, 6, 7, 9, 11];
+const PHRYGIAN = [0, 1, 3, 5, 7, 8, 10];
+
+// Chord on scale degree d: stacked thirds (size 3 = triad, 4 = seventh), as MIDI notes.
+export function chordNotes(style, degree, size = 3, octave = 0) {
+  const out = [];
+  for (let i = 0; i < size; i++) {
+    const d = degree + i * 2;
+    out.push(style.root + octave * 12 + Math.floor(d / 7) * 12 + style.scale[d % 7]);
+  }
+  return out;
+}
+
+// Cheap deterministic "randomness" so the score is the same every time
+const hash = (n) => ((Math.imul(n + 1, 2654435761) >>> 0) % 1000) / 1000;
+
+export const MUSIC_STYLES = {
+  // Bright major arpeggios over I–V–vi–IV, bouncing bass, off-beat hats
+  happy: {
+    bpm: 124, root: 60, scale: MAJOR, progression: [0, 4, 5, 3],
+    parts({ chord }, s, bar) {
+      const notes = [];
+      const arp = [0, 1, 2, 3, 2, 1];
+      const tones = [...chord(3, 1), chord(1, 2)[0]];
+      notes.push({ voice: 'pluck', midi: tones[arp[s % arp.length]], steps: 1, vel: s % 4 === 0 ? 0.5 : 0.35 });
+      if (s % 4 === 0) notes.push({ voice: 'bass', midi: chord(1, -1)[0] + (s === 12 ? 7 : 0), steps: 3, vel: 0.6 });
+      if (s % 4 === 2) notes.push({ voice: 'hat', steps: 1, vel: 0.25 });
+      if (s === 0 && bar % 2 === 0) notes.push({ voice: 'pad', midi: chord(3)[2] + 12, steps: 16, vel: 0.12 });
+      return notes;
+    },
+  },
+  // Slow lydian pads, soft roots, the odd pentatonic bell
+  calm: {
+    bpm: 72, root: 57, scale: LYDIAN, progression: [0, 3, 5, 1],
+    parts({ chord }, s, bar, step) {
+      const notes = [];
+      if (s === 0) {
+        for (const midi of chord(4)) notes.push({ voice: 'pad', midi, steps: 16, vel: 0.22 });
+        notes.push({ voice: 'bass', midi: chord(1, -1)[0], steps: 14, vel: 0.35 });
+      }
+      if (s % 4 === 2 && hash(step) < 0.35) {
+        const bell = [0, 2, 4, 7, 9][Math.floor(hash(step + 7) * 5)];
+        notes.push({ voice: 'bell', midi: 57 + 24 + bell, steps: 6, vel: 0.2 });
+      }
+      return notes;
+    },
+  },
+  // Tense phrygian ostinato (i–i–bVI–bII), driving eighth-note bass, busy hats
+  stressed: {
+    bpm: 138, root: 50, scale: PHRYGIAN, progression: [0, 0, 5, 1],
+    parts({ chord, tone }, s) {
+      const notes = [];
+      const [r, , fifth] = chord(3);
+      const up = tone(1);   // neighbour a scale step up: a semitone on the tonic
+      const figure = [r, r + 12, up, r + 12, fifth, r + 12, up, up + 12];
+      if (s % 2 === 0) notes.push({ voice: 'saw', midi: figure[(s / 2) % figure.length], steps: 1, vel: 0.32 });
+      if (s % 2 === 0) notes.push({ voice: 'bass', midi: r - 12, steps: 1, vel: s % 8 === 0 ? 0.7 : 0.45 });
+      notes.push({ voice: 'hat', steps: 1, vel: s % 4 === 0 ? 0.3 : 0.15 });
+      if (s === 0) notes.push({ voice: 'pad', midi: r - 12, steps: 16, vel: 0.18 });
+      return notes;
+    },
+  },
+};
+
+// All notes starting on 16th `step` of a style.
+export function stepNotes(style, step) {
+  const bar = Math.floor(step / 16), s = step % 16;
+  const degree = style.progression[bar % style.progression.length];
+  const chord = (size, octave = 0) => chordNotes(style, degree, size, octave);
+  const tone = (steps, octave = 0) => chordNotes(style, degree + steps, 1, octave)[0];
+  return style.parts({ chord, tone }, s, bar, step);
+}
+
+// Tempo follows the run: pace = current speed / the mood's base speed (1 at the
+// start, rising with the difficulty ramp), capped at +40%.
+export const MAX_PACE = 1.4;
+export function tempoFor(style, pace = 1) {
+  return style.bpm * Math.min(MAX_PACE, Math.max(1, pace));
+}
+
+// Hands out timed note events up to a horizon; a tempo change applies from the next step.
+// Steps already behind `now` (the scheduler stalled: throttled tab, GC, long
+// frame) are skipped rather than all played at once.
+export function createSequencer(style, startTime) {
+  let step = 0, next = startTime, pace = 1;
+  return {
+    get step() { return step; },
+    setPace(p) { pace = p; },
+    due(until, now = -Infinity) {
+      const out = [];
+      if (next < now) {
+        const sec = 60 / tempoFor(style, pace) / 4, skip = Math.ceil((now - next) / sec);
+        next += skip * sec; step += skip;
+      }
+      while (next < until) {
+        const sec = 60 / tempoFor(style, pace) / 4;
+        for (const n of stepNotes(style, step)) out.push({ ...n, time: next, dur: n.steps * sec });
+        next += sec; step++;
+      }
+      return out;
+    },
+  };
+}
+
+export const midiToHz = (m) => 440 * 2 ** ((m - 69) / 12);
@@ -0,0 +1,52 @@
+// src/powerups.js
+// Power-up rules: what each pickup does, how long it lasts and how pickups of
+// the same kind stack. Headless like world.js, which spawns and applies them.
+//
+// world.powers holds the seconds left per kind (0 = inactive).
+
+export const POWERUPS = {
+  shield:    { label: 'Shield',     icon: '🛡', color: '#7bdcff', duration: 15 },  // absorbs one hit
+  magnet:    { label: 'Magnet',     icon: '🧲', color: '#ff7b88', duration: 8, radius: 220, pull: 620 },
+  slowmo:    { label: 'Slow-mo',    icon: '⏳', color: '#c4a1ff', duration: 5, scale: 0.6 },
+  extraJump: { label: 'Extra jump', icon: '⇈', color: '#ffd34d', duration: 12 },
+};
+export const POWERUP_KINDS = Object.keys(POWERUPS);
+
+// Same kind again: magnet and extra jump add their duration (up to twice it);
+// shield and slow-mo just refresh — one hit absorbed, one slow-down factor.
+const STACK_MAX = { magnet: 2, extraJump: 2, shield: 1, slowmo: 1 };
+
+// After a shield pops, a moment of grace so the next frame's overlap isn't fatal.
+export const SHIELD_GRACE = 0.6;
+
+export function createPowers() {
+  return Object.fromEntries(POWERUP_KINDS.map(k => [k, 0]));
+}
+
+export function grantPowerup(powers, kind) {
+  const { duration } = POWERUPS[kind];
+  powers[kind] = Math.min(powers[kind] + duration, duration * STACK_MAX[kind]);
+}
+
+export function tickPowers(powers, dt) {
+  for (const k of POWERUP_KINDS) powers[k] = Math.max(0, powers[k] - dt);
+}
+
+export const isActive = (powers, kind) => powers[kind] > 0;
+
+// World speed multiplier (slow-mo)
+export function timeScale(powers) { return isActive(powers, 'slowmo') ? POWERUPS.slowmo.scale : 1; }
+
+// Jumps available from the ground (2 = jump + double jump)
+export function maxJumps(powers) { return isActive(powers, 'extraJump') ? 3 : 2; }
+
+// Which kind drops, weighted by the mood's power* params (see moodParams).
+export function pickPowerup(rng, mood) {
+  const weights = {
+    shield: mood.powerShield, magnet: mood.powerMagnet, slowmo: mood.powerSlowmo, extraJump: mood.powerJump,
+  };
+  const total = POWERUP_KINDS.reduce((a, k) => a + weights[k], 0);
+  let r = rng.next() * total;
+  for (const k of POWERUP_KINDS) { r -= weights[k]; if (r < 0) return k; }
+  return POWERUP_KINDS[POWERUP_KINDS.length - 1];
+}
@@ -0,0 +1,33 @@
+// src/pwa.js
+// Service worker registration with an "update available" hook: a new sw.js
+// installs in the background and waits; applyUpdate() switches to it and reloads.
+
+let waiting = null;
+
+export async function registerServiceWorker(url, { onUpdate = () => {} } = {}) {
+  if (!('serviceWorker' in navigator)) return null;
+  let reg;
+  try { reg = await navigator.serviceWorker.register(url); }
+  catch { return null; }
+
+  const offer = (sw) => { waiting = sw; onUpdate(); };
+  // Only an update if a previous version is already controlling the page
+  if (reg.waiting && navigator.serviceWorker.controller) offer(reg.waiting);
+  reg.addEventListener('updatefound', () => {
+    const sw = reg.installing;
+    if (!sw) return;
+    sw.addEventListener('statechange', () => {
+      if (sw.state === 'installed' && navigator.serviceWorker.controller) offer(sw);
+    });
+  });
+
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (waiting && !reloading) { reloading = true; location.reload(); }
+  });
+  return reg;
+}
+
+export function applyUpdate() {
+  if (waiting) waiting.postMessage({ type: 'SKIP_WAITING' });
+}
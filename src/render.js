@@ -0,0 +1,840 @@
+// src/render.js
+// Canvas renderer: scaling, backgrounds, scenery, particles, skins and obstacles.
+// Reads the headless world (src/world.js) but never changes it.
+
+import { createRng } from './rng.js';
+import { VW, VH, GROUND_Y, START_X, moodParams, clamp, pitAt, PLAYER_H, finishX } from './world.js';
+import { levelEntries, levelMoodAt } from './level.js';
+import { TIMELINE, SNAP, toScreenX, toScreenY, itemBox, finishBox, selected, timelineX } from './editor.js';
+import { MOODS } from './mood-classify.js';
+import { CAUSES, moodSegments } from './session.js';
+import { POWERUPS, POWERUP_KINDS } from './powerups.js';
+
+let canvas = null, ctx = null;
+
+// Responsive scaling
+let scale = 1, dpr = 1;
+export function initRenderer(canvasEl){
+  canvas = canvasEl;
+  ctx = canvas.getContext('2d'); // safer across GPUs
+  resizeCanvasToFit();
+}
+export function resizeCanvasToFit() {
+  dpr = Math.max(1, window.devicePixelRatio || 1);
+
+  // Size available for the canvas element
+  const wrap = canvas.parentElement;
+  const cw = wrap.clientWidth;
+  const ch = Math.max(220, window.innerHeight - wrap.getBoundingClientRect().top - 24);
+
+  const s = Math.min(cw / VW, ch / VH);
+  scale = Math.max(0.5, Math.min(2.0, s));
+
+  const cssW = Math.round(VW * scale);
+  const cssH = Math.round(VH * scale);
+
+  canvas.style.width  = cssW + 'px';
+  canvas.style.height = cssH + 'px';
+  canvas.width  = Math.floor(cssW * dpr);
+  canvas.height = Math.floor(cssH * dpr);
+
+  // Map our virtual coords → device pixels
+  ctx.setTransform(dpr * scale, 0, 0, dpr * scale, 0, 0);
+}
+
+// Page (client) coordinates → virtual coords, for pointer input
+export function toVirtual(clientX, clientY){
+  const r = canvas.getBoundingClientRect();
+  return { x: (clientX - r.left) * VW / r.width, y: (clientY - r.top) * VH / r.height };
+}
+
+// ---------- Render State ----------
+// Screen shake
+let shakeTime = 0, shakeMag = 0;
+
+// Skins
+let SKIN = 'robot';
+export function setRunnerSkin(name){ SKIN = name; }
+
+let decor = [];          // parallax hills / mood scenery
+let particles = [];      // generic particles
+let trail = [];          // player motion trail
+let moodFX = {           // mood-specific FX (clouds/stars/rain)
+  clouds: [],
+  stars: [],
+  rain: []
+};
+let sceneryMood = 'calm';
+let sceneryRng = createRng(0);
+
+// Lightning strikes on sim ticks (updateScenery), so only while a run is going;
+// draw() just shows the flash. Listeners add the thunder.
+const FLASH_S = 0.08;
+let flash = 0;           // seconds of lightning flash left
+const lightningListeners = new Set();
+export function onLightning(fn){ lightningListeners.add(fn); return () => lightningListeners.delete(fn); }
+
+// Mood transitions: each world's decorations fade by weight instead of being
+// swapped, and the sky/ground colours on screen ease toward the target palette.
+const FADE_S = 1.0;      // seconds for a full cross-fade
+const EASE_S = 0.3;      // colour easing time constant
+const fade = { happy: 0, calm: 1, stressed: 0 };
+let palette = null;      // { skyTop, skyBottom, ground } as [r,g,b]
+let lastDraw = 0;
+
+// Drop all scenery/particles and reseed decoration from the run seed.
+export function resetScenery(seed){
+  sceneryRng = createRng((seed ^ 0x9E3779B9) >>> 0);
+  decor.length = 0; particles.length = 0; trail.length = 0;
+  shakeTime = 0; shakeMag = 0; flash = 0;
+}
+
+// Target world for the cross-fade; `instant` skips it (run start/reset).
+export function setSceneryMood(mood, instant = false){
+  sceneryMood = mood;
+  if (instant) { for (const m in fade) fade[m] = (m === mood) ? 1 : 0; palette = null; }
+}
+
+function updateTransitions(dt, p){
+  for (const m in fade) {
+    const target = (m === sceneryMood) ? 1 : 0;
+    fade[m] += clamp(target - fade[m], -dt/FADE_S, dt/FADE_S);
+  }
+  const k = 1 - Math.exp(-dt / EASE_S);
+  const to = { skyTop: hexRgb(p.skyTop), skyBottom: hexRgb(p.skyBottom), ground: hexRgb(p.ground) };
+  if (!palette) { palette = to; return; }
+  for (const key in to) palette[key] = palette[key].map((c, i) => c + (to[key][i] - c) * k);
+}
+
+// Per sim tick: scenery, particles and the player's trail.
+export function updateScenery(dt, world){
+  if (sceneryRng.chance(0.08)) addParallaxHill(world.speed);
+  decor.forEach(d => d.x -= d.speed * dt);
+  updateMoodFX(dt, world.speed);
+  updateParticles(dt);
+  trail.unshift({x: world.player.x, y: world.player.y, h: world.player.h, pose: poseOf(world.player)});
+  if (trail.length>10) trail.pop();
+
+  decor = decor.filter(d => (d.x + d.w > -120));
+  particles = particles.filter(p => p.t < p.lifespan);
+}
+
+// ---------- Particles ----------
+export function sparkle(x,y,color='#fff', n=8){
+  for (let i=0;i<n;i++) particles.push({x,y, vx:(Math.random()*2-1)*120, vy:(Math.random()*2-1)*120, r:2+Math.random()*2, color, t:0, lifespan:0.35+Math.random()*0.2});
+}
+export function dust(x,y,n=6){
+  for (let i=0;i<n;i++) particles.push({x,y, vx:(Math.random()*2-1)*80, vy:-Math.random()*120, r:2+Math.random()*3, color:'rgba(60,80,100,0.6)', t:0, lifespan:0.4+Math.random()*0.3});
+}
+function updateParticles(dt){ particles.forEach(p=>{ p.t+=dt; p.vy+=900*dt; p.x+=p.vx*dt; p.y+=p.vy*dt; p.r*=0.98; }); }
+
+// ---------- Mood Scenery ----------
+// Builds hills plus every world's FX up front; moods only change their fade weights.
+export function buildScenery(speed){
+  const r = sceneryRng;
+  decor.length = 0;
+  moodFX.clouds.length = 0;
+  moodFX.stars.length = 0;
+  moodFX.rain.length = 0;
+
+  for (let i=0;i<18;i++) addParallaxHill(speed);
+
+  // happy: clouds & balloons
+  for (let i=0;i<10;i++){
+    moodFX.clouds.push({
+      x: r.next()*VW, y: 60+r.next()*160,
+      w: 80+r.next()*140, h: 36+r.next()*24,
+      speed: 20+r.next()*18, kind: (r.next()<0.15?'balloon':'cloud'),
+      hue: 20+r.next()*40
+    });
+  }
+  // calm: stars (each comes up at its own point of the dusk fade)
+  for (let i=0;i<90;i++){
+    moodFX.stars.push({
+      x: r.next()*VW, y: r.next()*(VH*0.6),
+      r: r.next()*1.6+0.4, tw: r.next()*Math.PI*2, rise: r.next()
+    });
+  }
+  // stressed: rain
+  for (let i=0;i<90;i++){
+    moodFX.rain.push({
+      x: r.next()*VW, y: r.next()*VH,
+      vx: -60, vy: 420+r.next()*240, len: 12+r.next()*18, t: r.next()*2
+    });
+  }
+}
+
+function updateMoodFX(dt, speed){
+  if (fade.happy > 0){
+    moodFX.clouds.forEach(c=>{
+      c.x -= (c.speed + speed*0.08) * dt;
+      if (c.x < -c.w-40) { c.x = VW+60; c.y = 60+sceneryRng.next()*160; }
+    });
+  }
+  if (fade.calm > 0){
+    moodFX.stars.forEach(s=> s.tw += dt*3);
+  }
+  if (fade.stressed > 0){
+    moodFX.rain.forEach(r=>{
+      r.x += r.vx*dt; r.y += r.vy*dt;
+      if (r.y > VH+40) { r.y = -20; r.x = sceneryRng.next()*VW; }
+    });
+  }
+  // lightning (only once the storm is mostly in)
+  flash = Math.max(0, flash - dt);
+  if (fade.stressed > 0.8 && sceneryRng.chance(0.004)){
+    flash = FLASH_S;
+    lightningListeners.forEach(fn => fn(fade.stressed));
+  }
+}
+
+function addParallaxHill(speed){
+  const r = sceneryRng;
+  const y = VH - (40 + r.next()*120);
+  const w = 120 + r.next()*200, h = 60 + r.next()*120;
+  decor.push({x: VW + r.next()*400, y, w, h, speed: speed*(0.25+r.next()*0.3), shade: `rgba(25,40,70,${0.2+r.next()*0.2})`});
+}
+
+// ---------- Drawing ----------
+// view: { playing, hasRun, seed, animT, ghost: {x,y}|null, replayRate: 0 when live,
+//         session: last run's summary (game-over screen) }
+export function draw(world, view){
+  const { player, obstacles, coins, groundY } = world;
+  const { animT } = view;
+  // Ensure transform is set each frame (in case DPR/scale changed)
+  ctx.setTransform(dpr * scale, 0, 0, dpr * scale, 0, 0);
+  ctx.clearRect(0,0,VW,VH);
+
+  let ox=0, oy=0;
+  if (shakeTime>0){
+    shakeTime -= 1/60;
+    const m = shakeMag * (shakeTime*6) / (1+shakeTime*6);
+    ox=(Math.random()*2-1)*m; oy=(Math.random()*2-1)*m;
+  }
+
+  const p = moodParams(world.mood, world.moodVec);
+  drawBackdrop(p, ox, oy, groundY);
+  for (const o of obstacles) if (o.type==='pit') drawPit(o.x+ox, groundY, o.w);
+
+  if (world.level){
+    const fx = finishX(world);
+    if (fx < VW + 40) drawFinishLine(fx+ox, groundY);
+  }
+
+  // Coins and power-ups
+  coins.forEach(c=> drawStarCoin(c.x+ox,c.y+oy,c.r,c.t));
+  world.pickups.forEach(u=> drawPickup(u.x+ox,u.y+oy,u.r,u.t,u.kind));
+
+  // Obstacles
+  for (const o of obstacles) drawObstacle(o, o.x+ox, o.y+oy, animT);
+
+  // Particles
+  particles.forEach(p=>{
+    const a = 1 - (p.t / p.lifespan);
+    let col = p.color;
+    if (col.startsWith('rgb(')) col = col.replace('rgb(', 'rgba(').replace(')', `,${Math.max(0,a).toFixed(2)})`);
+    ctx.fillStyle = col; ctx.beginPath(); ctx.arc(p.x,p.y,Math.max(0.5,p.r),0,Math.PI*2); ctx.fill();
+  });
+
+  // Shadow
+  const shw = player.w*0.9, shy = groundY+6;
+  const shR = mapRange(player.y, groundY-220, groundY-player.h, 4, 10);
+  if (!pitAt(world, player.x+player.w/2)){
+    ctx.fillStyle='rgba(0,0,0,0.25)'; ctx.beginPath(); ctx.ellipse(player.x+player.w/2,shy,shw/2,shR,0,0,Math.PI*2); ctx.fill();
+  }
+
+  // Personal-best ghost
+  const g = view.ghost;
+  if (g){
+    drawSkinnedRunner(g.x, g.y, player.w, PLAYER_H, g.y >= groundY - PLAYER_H - 1 ? 'run' : 'air', animT, 0.35, true, p.accent);
+    ctx.fillStyle='rgba(255,255,255,0.6)'; ctx.font='12px system-ui'; ctx.fillText('BEST', g.x+8, g.y-10);
+  }
+
+  // Motion ghost
+  for (let i=trail.length-1;i>=0;i--){
+    const t = trail[i]; const a = i/trail.length;
+    drawSkinnedRunner(t.x, t.y, player.w, t.h, t.pose, animT - i*0.03, 0.55*a, true, p.accent);
+  }
+
+  // Player
+  drawSkinnedRunner(player.x, player.y, player.w, player.h, poseOf(player), animT, 1, false, p.accent);
+  if (world.powers.shield > 0 || world.grace > 0) drawShieldAura(player, world.powers.shield, world.grace, animT);
+
+  if (view.replayRate){
+    ctx.fillStyle='rgba(0,0,0,0.45)'; roundRect(14,14,150,30,8,ctx.fillStyle,true);
+    ctx.fillStyle='#fff'; ctx.font='16px system-ui'; ctx.fillText(`▶ REPLAY ×${view.replayRate}`, 26, 35);
+  }
+  drawPowerTimers(world.powers, view.replayRate ? 52 : 14);
+  if (world.level) drawStageProgress(world);
+
+  if (view.tracking && view.tracking.state !== 'off') drawTracking(view.tracking);
+
+  if (view.autoPaused && view.playing){
+    ctx.fillStyle='rgba(0,0,0,0.45)'; ctx.fillRect(0,0,VW,VH);
+    ctx.fillStyle='#fff'; ctx.font='28px system-ui'; ctx.textAlign='center';
+    ctx.fillText('Paused — step back into the camera frame', VW/2, VH/2);
+    ctx.textAlign='left';
+  }
+
+  if (!view.playing && view.stageResult){
+    ctx.fillStyle='rgba(0,0,0,0.7)'; ctx.fillRect(0,0,VW,VH);
+    drawStageResult(view.stageResult);
+  } else if (!view.playing && view.session){
+    ctx.fillStyle='rgba(0,0,0,0.7)'; ctx.fillRect(0,0,VW,VH);
+    drawSessionSummary(view.session, view.seed);
+  } else if (!view.playing){
+    ctx.fillStyle='rgba(0,0,0,0.55)'; ctx.fillRect(0,0,VW,VH);
+    ctx.fillStyle='#fff'; ctx.font='48px system-ui'; ctx.fillText('Emotion Escape', VW/2-180, VH/2-60);
+    ctx.font='20px system-ui';
+    ctx.fillText('Press Start to Play — Double Jump enabled', VW/2-200, VH/2-20);
+    ctx.fillText('1=Happy  2=Calm  3=Stressed (affects difficulty/visuals)', VW/2-250, VH/2+10);
+    if (view.hasRun){
+      ctx.fillStyle='rgba(255,255,255,0.7)'; ctx.font='16px system-ui';
+      ctx.fillText(`Seed ${view.seed} — share with ?seed=${view.seed} to replay this course`, VW/2-200, VH/2+44);
+    }
+  }
+}
+
+// Sky, mood scenery, hills and ground — shared by the game and the editor.
+function drawBackdrop(p, ox, oy, groundY, stripe = Date.now()/12){
+  const now = performance.now();
+  updateTransitions(Math.min(0.1, (now - lastDraw) / 1000), p);
+  lastDraw = now;
+
+  // Sky eases toward the blended palette; each world's decorations fade by weight
+  const sky = ctx.createLinearGradient(0,0,0,VH);
+  sky.addColorStop(0, rgbCss(palette.skyTop)); sky.addColorStop(1, rgbCss(palette.skyBottom));
+  ctx.fillStyle = sky; ctx.fillRect(0,0,VW,VH);
+
+  if (fade.calm > 0)     drawCalmBG(fade.calm);
+  if (fade.happy > 0)    drawHappyBG(fade.happy);
+  if (fade.stressed > 0) drawStressedBG(fade.stressed);
+
+  // Parallax hills
+  decor.forEach(d=>{
+    ctx.fillStyle=d.shade;
+    ctx.beginPath();
+    ctx.ellipse(d.x+ox, d.y+oy, d.w, d.h, 0, 0, Math.PI, true);
+    ctx.fill();
+  });
+
+  // Ground
+  ctx.fillStyle = rgbCss(palette.ground); ctx.fillRect(0, groundY, VW, VH-groundY);
+  ctx.fillStyle = 'rgba(0,0,0,0.18)';
+  for (let x=(stripe%40)*-1; x<VW; x+=40) ctx.fillRect(x, groundY+24, 20, 12);
+}
+
+function drawObstacle(o, x, y, t){
+  if (o.type==='block') drawPillar(x,y,o.w,o.h);
+  else if (o.type==='gate' && o.curtain) drawLaserCurtain(x,y,o.w,o.h,t);
+  else if (o.type==='gate') drawLaserGate(x,y,o.w,o.h);
+  else if (o.type==='platform') drawPlatform(x,y,o.w,o.h);
+  else if (o.type==='drone') drawSaw(x,y,o.r,o.angle||0);
+}
+
+// ---------- Level editor ----------
+// The course as the runner would see it at ed.scroll, plus grid, selection,
+// playtest cursor, a help line and the timeline strip.
+export function drawEditor(ed, view){
+  const { level } = ed, { animT } = view, g = GROUND_Y;
+  ctx.setTransform(dpr * scale, 0, 0, dpr * scale, 0, 0);
+  ctx.clearRect(0,0,VW,VH);
+  const mood = levelMoodAt(level, ed.scroll) || view.mood;
+  const p = moodParams(mood, levelMoodAt(level, ed.scroll) ? null : view.moodVec);
+  if (mood !== sceneryMood) setSceneryMood(mood);
+  drawBackdrop(p, 0, 0, g, ed.scroll);
+  const sx = (at) => toScreenX(ed, at);
+
+  // Grid: a line every 5 snap steps, labelled every 500 px
+  ctx.font='11px system-ui';
+  for (let at = Math.ceil((ed.scroll - START_X) / (SNAP*5)) * SNAP*5; sx(at) < VW; at += SNAP*5){
+    ctx.fillStyle = at % 500 === 0 ? 'rgba(255,255,255,0.22)' : 'rgba(255,255,255,0.08)';
+    ctx.fillRect(sx(at), 40, 1, g-40);
+    if (at % 500 === 0){ ctx.fillStyle='rgba(255,255,255,0.55)'; ctx.fillText(String(at), sx(at)+3, g+16); }
+  }
+  for (const z of level.zones){
+    if (sx(z.at) < -40 || sx(z.at) > VW) continue;
+    ctx.fillStyle = MOOD_COL[z.mood]; ctx.fillRect(sx(z.at)-1, 60, 3, g-60);
+    ctx.fillText(z.mood, sx(z.at)+5, 72);
+  }
+
+  // The course
+  for (const o of level.obstacles) if (o.type==='pit') drawPit(sx(o.at), g, o.w);
+  drawFinishLine(sx(level.length), g);
+  for (const { at, group, item } of levelEntries(level)){
+    const x = sx(at);
+    if (x < -260 || x > VW + 260) continue;
+    if (group === 'coins') drawStarCoin(x, toScreenY(item.alt), 9, animT);
+    else if (group === 'pickups') drawPickup(x, toScreenY(item.alt), 16, animT, item.kind);
+    else if (item.type === 'block') drawObstacle(item, x, g - item.h, animT);
+    else if (item.type === 'gate') drawObstacle(item, x, g - item.alt - item.h, animT);
+    else if (item.type === 'drone') drawObstacle(item, x, toScreenY(item.alt), animT);
+    else if (item.type === 'platform') drawObstacle({ ...item, h: 16 }, x, toScreenY(item.alt), animT);
+  }
+
+  // Playtest cursor: where the runner would start
+  const cx = sx(ed.cursor);
+  ctx.fillStyle='rgba(102,224,255,0.8)'; ctx.fillRect(cx-1, 40, 2, g-40);
+  drawSkinnedRunner(cx, g-PLAYER_H, 46, PLAYER_H, 'run', 0, 0.45, true, p.accent);
+  ctx.fillStyle='#66e0ff'; ctx.font='12px system-ui'; ctx.fillText('▶ playtest from here', cx+6, 54);
+  if (ed.marker !== null){
+    ctx.strokeStyle='#ff7b88'; ctx.lineWidth=3; const mx = sx(ed.marker), my = g-30;
+    ctx.beginPath(); ctx.moveTo(mx-8,my-8); ctx.lineTo(mx+8,my+8); ctx.moveTo(mx+8,my-8); ctx.lineTo(mx-8,my+8); ctx.stroke();
+  }
+  if (ed.previewing) drawSkinnedRunner(START_X, g-PLAYER_H, 46, PLAYER_H, 'run', animT, 1, false, p.accent);
+
+  // Selection and its resize handle
+  const s = selected(ed);
+  const box = ed.sel && (ed.sel.group === 'finish' ? finishBox(level) : s && itemBox(ed.sel.group, s));
+  if (box){
+    ctx.setLineDash([6,4]); ctx.strokeStyle='#fff'; ctx.lineWidth=1.5;
+    ctx.strokeRect(sx(box.x0)-3, toScreenY(box.y1)-3, box.x1-box.x0+6, box.y1-box.y0+6);
+    ctx.setLineDash([]);
+    if (s && ed.sel.group !== 'powerups'){ ctx.fillStyle='#fff'; ctx.fillRect(sx(box.x1)-5, toScreenY(box.y1)-5, 10, 10); }
+  }
+
+  // Help line
+  ctx.fillStyle='rgba(0,0,0,0.5)'; roundRect(14,14,VW-170,46,8,ctx.fillStyle,true);
+  ctx.fillStyle='#fff'; ctx.font='14px system-ui';
+  const what = s ? ` · ${s.type || (ed.sel.group === 'coins' ? `coin arc ×${s.arc}` : s.kind)} at ${s.at}` : '';
+  ctx.fillText(`EDITOR — ${level.name} · tool: ${ed.tool} · snap ${ed.snap ? SNAP : 'off'} · ${level.length} px${what}`, 26, 33);
+  ctx.fillStyle='rgba(255,255,255,0.65)'; ctx.font='12px system-ui';
+  ctx.fillText(ed.status || 'Click empty ground: playtest cursor · drag: move · corner: resize · Del · Ctrl+Z / Ctrl+Y · ← → / wheel: scroll · Space: preview · P: playtest', 26, 51);
+  if (view.tracking && view.tracking.state !== 'off') drawTracking(view.tracking);
+
+  drawTimeline(ed);
+}
+
+function drawTimeline(ed){
+  const { level } = ed, t = TIMELINE, tx = (at) => timelineX(ed, at);
+  ctx.fillStyle='rgba(0,0,0,0.5)'; roundRect(t.x-6, t.y-6, t.w+12, t.h+12, 8, ctx.fillStyle, true);
+  // mood zones (or the player's mood: plain)
+  const zones = level.zones.length ? level.zones : level.mood ? [{ at: 0, mood: level.mood }] : [];
+  zones.forEach((z, i) => {
+    const end = i + 1 < zones.length ? zones[i+1].at : level.length;
+    ctx.fillStyle = toRgba(MOOD_COL[z.mood], 0.35); ctx.fillRect(tx(z.at), t.y, tx(end) - tx(z.at), t.h);
+  });
+  for (const o of level.obstacles){ ctx.fillStyle = o.type === 'pit' ? '#000' : '#ff7b88'; ctx.fillRect(tx(o.at), t.y + 3, 2, t.h - 6); }
+  ctx.fillStyle='#ffd34d'; for (const c of level.coins) ctx.fillRect(tx(c.at), t.y + t.h - 4, 2, 3);
+  ctx.fillStyle='#fff'; ctx.fillRect(tx(level.length), t.y - 3, 3, t.h + 6);
+  ctx.fillStyle='#66e0ff'; ctx.fillRect(tx(ed.cursor) - 1, t.y - 3, 2, t.h + 6);
+  // what's on screen
+  ctx.strokeStyle='rgba(255,255,255,0.8)'; ctx.lineWidth=1.5;
+  const v0 = tx(ed.scroll - START_X), v1 = tx(ed.scroll - START_X + VW);
+  ctx.strokeRect(v0, t.y - 2, Math.max(4, v1 - v0), t.h + 4);
+}
+
+// Active power-ups (top-left): icon, name and a bar for the time left.
+function drawPowerTimers(powers, y){
+  for (const k of POWERUP_KINDS){
+    const left = powers[k];
+    if (left <= 0) continue;
+    const { icon, label, color, duration } = POWERUPS[k];
+    ctx.fillStyle='rgba(0,0,0,0.45)'; roundRect(14,y,170,30,8,ctx.fillStyle,true);
+    ctx.fillStyle='#fff'; ctx.font='16px system-ui'; ctx.fillText(`${icon} ${label}`, 24, y+20);
+    // Stacked time runs past one duration: the bar shows the overflow brighter
+    const frac = Math.min(left / duration, 2);
+    ctx.fillStyle=toRgba(color, 0.9); ctx.fillRect(124, y+12, 50*Math.min(frac,1), 6);
+    if (frac > 1){ ctx.fillStyle='#fff'; ctx.fillRect(124, y+12, 50*(frac-1), 6); }
+    // blink the last two seconds
+    if (left < 2 && Math.floor(left*6)%2===0){ ctx.fillStyle='rgba(0,0,0,0.35)'; ctx.fillRect(124, y+12, 50, 6); }
+    y += 36;
+  }
+}
+
+// Stage name and how far along the course the runner is (top centre).
+function drawStageProgress(world){
+  const w = 300, x = VW/2 - w/2, y = 14;
+  const frac = clamp(world.distance / world.level.length, 0, 1);
+  ctx.fillStyle='rgba(0,0,0,0.45)'; roundRect(x,y,w,30,8,ctx.fillStyle,true);
+  ctx.fillStyle='#fff'; ctx.font='13px system-ui'; ctx.fillText(world.level.name, x+12, y+19);
+  ctx.fillStyle='rgba(255,255,255,0.2)'; ctx.fillRect(x+130, y+12, 156, 6);
+  ctx.fillStyle=MOOD_COL[world.mood]; ctx.fillRect(x+130, y+12, 156*frac, 6);
+}
+
+// Mood AI tracking badge (top-right): five bars for the share of recent frames
+// with a face, or a warning when the face is gone or there are several.
+function drawTracking({ state, quality }){
+  const w = 132, h = 30, x = VW - w - 14, y = 14;
+  ctx.fillStyle='rgba(0,0,0,0.45)'; roundRect(x,y,w,h,8,ctx.fillStyle,true);
+  ctx.font='13px system-ui';
+  if (state === 'no-face'){
+    ctx.fillStyle = (Math.floor(performance.now()/400) % 2) ? '#ff7b88' : '#ffffff';
+    ctx.fillText('◉ NO FACE', x+12, y+20);
+    return;
+  }
+  ctx.fillStyle = state === 'multiple' ? '#ffd34d' : '#fff';
+  ctx.fillText(state === 'multiple' ? '◉ 2+ FACES' : '◉ FACE', x+12, y+20);
+  const lit = Math.round(quality * 5);
+  const col = quality > 0.7 ? '#4ade80' : quality > 0.4 ? '#ffd34d' : '#ff7b88';
+  for (let i=0;i<5;i++){
+    ctx.fillStyle = i < lit ? col : 'rgba(255,255,255,0.2)';
+    ctx.fillRect(x + w - 52 + i*8, y + 20 - (i+1)*3, 5, (i+1)*3);
+  }
+}
+
+// ---------- Game-over summary ----------
+const MOOD_COL = { happy:'#ffd34d', calm:'#66e0ff', stressed:'#ff7b88' };
+
+// Mood over time (one lane per mood, smile/brow traces on top when Mood AI was
+// on), the share of the run in each mood, and how it ended.
+function drawSessionSummary(s, seed){
+  const x0 = 112, w = 800, y0 = 118, h = 180, lane = h / MOODS.length;
+  const tx = (t) => x0 + (s.duration > 0 ? t / s.duration : 0) * w;
+
+  ctx.fillStyle='#fff'; ctx.font='36px system-ui'; ctx.textAlign='center';
+  ctx.fillText(`Game Over — ${s.score}`, VW/2, 72);
+  ctx.font='15px system-ui'; ctx.fillStyle='rgba(255,255,255,0.75)';
+  const cause = s.cause ? `hit a ${(CAUSES[s.cause] || s.cause).toLowerCase()}` : 'run ended';
+  ctx.fillText(`${s.duration.toFixed(1)} s · ${s.coins} coins (+${s.coinValue}) · ${cause}`, VW/2, 98);
+  ctx.textAlign='left';
+
+  ctx.fillStyle='rgba(255,255,255,0.08)'; ctx.fillRect(x0, y0, w, h);
+  ctx.font='12px system-ui';
+  MOODS.forEach((m, i) => {
+    ctx.fillStyle='rgba(255,255,255,0.6)'; ctx.fillText(m, x0 - 62, y0 + lane*i + lane/2 + 4);
+  });
+  for (const seg of moodSegments(s)){
+    const i = MOODS.indexOf(seg.mood);
+    ctx.fillStyle = MOOD_COL[seg.mood];
+    ctx.fillRect(tx(seg.from), y0 + lane*i + lane*0.25, Math.max(1, tx(seg.to) - tx(seg.from)), lane*0.5);
+  }
+  if (s.face.length > 1){
+    const trace = (k, col) => {
+      ctx.strokeStyle = col; ctx.lineWidth = 1.5; ctx.beginPath();
+      s.face.forEach((f, i) => { const y = y0 + h - clamp(f[k], 0, 1) * h; i ? ctx.lineTo(tx(f[0]), y) : ctx.moveTo(tx(f[0]), y); });
+      ctx.stroke();
+    };
+    trace(1, 'rgba(255,255,255,0.85)'); trace(2, 'rgba(255,123,136,0.85)');
+    ctx.fillStyle='rgba(255,255,255,0.6)'; ctx.fillText('— smile   ', x0 + w - 130, y0 + h + 16);
+    ctx.fillStyle='rgba(255,123,136,0.9)'; ctx.fillText('— brow', x0 + w - 62, y0 + h + 16);
+  }
+  ctx.fillStyle='rgba(255,255,255,0.5)';
+  ctx.fillText('0 s', x0, y0 + h + 16);
+  ctx.fillText(`${s.duration.toFixed(0)} s`, x0 + w/2 - 10, y0 + h + 16);
+
+  // Share of time per mood
+  let x = x0;
+  const by = y0 + h + 40;
+  for (const m of MOODS){
+    const sw = s.share[m] * w;
+    if (sw > 0){ ctx.fillStyle = MOOD_COL[m]; ctx.fillRect(x, by, sw, 22); }
+    x += sw;
+  }
+  ctx.font='14px system-ui'; ctx.textAlign='center';
+  MOODS.forEach((m, i) => {
+    ctx.fillStyle = MOOD_COL[m];
+    ctx.fillText(`${m} ${Math.round(s.share[m] * 100)}%`, x0 + w * (i + 0.5) / MOODS.length, by + 46);
+  });
+  ctx.fillStyle='#fff'; ctx.font='18px system-ui';
+  ctx.fillText('Press Start to play again', VW/2, by + 90);
+  ctx.fillStyle='rgba(255,255,255,0.6)'; ctx.font='14px system-ui';
+  ctx.fillText(`Seed ${seed} — share with ?seed=${seed} to replay this course`, VW/2, by + 114);
+  ctx.textAlign='left';
+}
+
+// ---------- Stage result ----------
+function drawStageResult(r){
+  ctx.textAlign='center';
+  ctx.fillStyle='#fff'; ctx.font='40px system-ui';
+  ctx.fillText(r.finished ? `${r.level.name} — clear!` : `${r.level.name} — crashed`, VW/2, VH/2-90);
+  ctx.font='44px system-ui';
+  for (let i=0;i<3;i++){
+    ctx.fillStyle = i < r.earned ? '#ffd34d' : 'rgba(255,255,255,0.2)';
+    ctx.fillText('★', VW/2 + (i-1)*56, VH/2-24);
+  }
+  ctx.font='18px system-ui'; ctx.fillStyle='rgba(255,255,255,0.85)';
+  const time = r.finished ? `${r.time.toFixed(2)} s` : `${r.time.toFixed(1)} s in`;
+  ctx.fillText(`${time} · ${r.coins} coins`, VW/2, VH/2+20);
+  ctx.font='15px system-ui'; ctx.fillStyle='rgba(255,255,255,0.6)';
+  const best = r.best === null ? 'no finish yet' : `best ${r.best.toFixed(2)} s${r.newBest ? ' — new best!' : ''}`;
+  ctx.fillText(`${best} · ${r.stars}★ earned on this stage`, VW/2, VH/2+48);
+  ctx.fillStyle='#fff'; ctx.font='18px system-ui';
+  ctx.fillText('Pick a stage to retry, or press Start for an endless run', VW/2, VH/2+96);
+  ctx.textAlign='left';
+}
+
+// ---------- BG Renderers ----------
+
+function drawHappyBG(a){
+  ctx.save(); ctx.globalAlpha = a;
+  // sun
+  ctx.fillStyle = 'rgba(255,245,140,0.9)'; ctx.beginPath(); ctx.arc(VW*0.82, 90, 50, 0, Math.PI*2); ctx.fill();
+  ctx.fillStyle = 'rgba(255,245,140,0.25)'; ctx.beginPath(); ctx.arc(VW*0.82, 90, 90, 0, Math.PI*2); ctx.fill();
+  // clouds & balloons
+  moodFX.clouds.forEach(c=>{ if (c.kind==='cloud') drawCloud(c.x, c.y, c.w, c.h); else drawBalloon(c.x, c.y, c.hue); });
+  ctx.restore();
+}
+function drawCalmBG(a){
+  // moon
+  ctx.fillStyle = `rgba(255,255,255,${0.85*a})`; ctx.beginPath(); ctx.arc(VW*0.86, 80, 24, 0, Math.PI*2); ctx.fill();
+  // stars
+  moodFX.stars.forEach(s=>{
+    const up = clamp((a - s.rise*0.6) / 0.4, 0, 1);
+    if (up <= 0) return;
+    const tw = 0.6 + Math.sin(s.tw)*0.4;
+    ctx.fillStyle = `rgba(255,255,210,${(0.4+0.6*tw)*up})`;
+    ctx.beginPath(); ctx.arc(s.x, s.y, s.r*tw, 0, Math.PI*2); ctx.fill();
+  });
+}
+function drawStressedBG(a){
+  if (flash > 0){ ctx.fillStyle='rgba(220,240,255,0.25)'; ctx.fillRect(0,0,VW,VH*0.7); }
+  // rain: fewer and fainter drops while fading
+  const n = Math.round(moodFX.rain.length * a);
+  ctx.strokeStyle = `rgba(180,200,220,${0.35*a})`; ctx.lineWidth = 2; ctx.beginPath();
+  for (let i=0;i<n;i++){ const r = moodFX.rain[i]; ctx.moveTo(r.x, r.y); ctx.lineTo(r.x + r.vx*0.06, r.y + r.len); }
+  ctx.stroke();
+}
+function drawCloud(x,y,w,h){
+  ctx.fillStyle='rgba(255,255,255,0.9)';
+  ctx.beginPath();
+  ctx.ellipse(x,y,w*0.4,h*0.6,0,0,Math.PI*2);
+  ctx.ellipse(x+w*0.25,y-8,w*0.35,h*0.55,0,0,Math.PI*2);
+  ctx.ellipse(x-w*0.25,y-6,w*0.32,h*0.5,0,0,Math.PI*2);
+  ctx.fill();
+}
+function drawBalloon(x,y,hue){
+  ctx.strokeStyle='rgba(60,60,70,0.6)'; ctx.lineWidth=1.5; ctx.beginPath();
+  ctx.moveTo(x,y+18); ctx.quadraticCurveTo(x-6,y+32,x-10,y+46); ctx.stroke();
+  ctx.fillStyle = `hsl(${hue} 90% 60% / 0.95)`; ctx.beginPath(); ctx.ellipse(x,y,10,14,0,0,Math.PI*2); ctx.fill();
+}
+
+// ---------- Character renderers (6 skins) ----------
+// pose: 'run' | 'air' | 'slide' (h is already the low slide hitbox) | 'dash'
+function poseOf(pl){ return pl.slide > 0 ? 'slide' : pl.dash > 0 ? 'dash' : pl.onGround ? 'run' : 'air'; }
+function drawSkinnedRunner(x,y,w,h,pose,t,a=1,ghost=false,accent='#66e0ff'){
+  if (pose==='dash') speedLines(x,y,w,h,a,accent);
+  switch (SKIN){
+    case 'ninja':     return drawNinja(x,y,w,h,pose,t,a,accent,ghost);
+    case 'cat':       return drawCat(x,y,w,h,pose,t,a,accent,ghost);
+    case 'astronaut': return drawAstronaut(x,y,w,h,pose,t,a,accent,ghost);
+    case 'slime':     return drawSlime(x,y,w,h,pose,t,a,accent,ghost);
+    case 'wizard':    return drawWizard(x,y,w,h,pose,t,a,accent,ghost);
+    default:          return drawRobot(x,y,w,h,pose,t,a,accent,ghost);
+  }
+}
+function drawRobot(x,y,w,h,pose,t,a,accent,ghost){
+  roundRect(x,y,w,h,10,`rgba(240,244,255,${a})`,true);
+  // Visor drops to a slit when sliding; sparks fly off the back
+  const vh = pose==='slide' ? 8 : 18;
+  ctx.fillStyle = `rgba(30,40,56,${0.9*a})`; roundRect(x+w*0.53,y+4,w*0.36,vh,6,ctx.fillStyle,true);
+  if (pose!=='slide') { ctx.fillStyle = `${toRgba(accent,0.35*a)}`; ctx.fillRect(x+6,y+11,w-12,9); }
+  ctx.fillStyle = `${toRgba(accent,0.6*a)}`; ctx.fillRect(x+w*0.53+4,y+6,w*0.36-8,Math.max(3,vh-8));
+  if (pose==='slide') for (let i=0;i<3;i++){ ctx.fillStyle=`rgba(255,210,90,${a*(0.8-i*0.2)})`; ctx.fillRect(x-6-i*8-Math.sin(t*40+i)*3, y+h-4-i*2, 4, 3); }
+  if (pose==='dash') { ctx.fillStyle=`${toRgba(accent,0.8*a)}`; tri(x, y+h*0.3, x-14, y+h*0.5, x, y+h*0.7); } // thruster
+  legLines(x,y,w,h,pose,t,a, 'rgba(80,100,130,'); if (!ghost) outline(x,y,w,h,10);
+}
+function drawNinja(x,y,w,h,pose,t,a,accent,ghost){
+  roundRect(x,y,w,h,10,`rgba(20,22,30,${a})`,true);
+  ctx.fillStyle = `${toRgba(accent,0.9*a)}`; ctx.fillRect(x+6,y+Math.min(12,h*0.3),w-12,7);
+  ctx.fillStyle = `${toRgba(accent,0.7*a)}`;
+  ctx.beginPath();
+  if (pose==='dash' || pose==='slide') {
+    // Scarf streams straight back
+    const len = pose==='dash' ? 46 : 28, wave = Math.sin(t*20)*3;
+    ctx.moveTo(x+6, y+8); ctx.lineTo(x-len, y+4+wave); ctx.lineTo(x-len+6, y+12+wave); ctx.lineTo(x+6, y+15);
+  } else {
+    ctx.moveTo(x+w*0.6, y+10); ctx.lineTo(x+w*0.9, y+4+Math.sin(t*8)*2); ctx.lineTo(x+w*0.86, y+14);
+  }
+  ctx.closePath(); ctx.fill();
+  roundRect(x+w*0.25,y+Math.min(12,h*0.3),w*0.5,pose==='slide' ? 6 : 9,4,`rgba(255,255,255,${0.9*a})`,true);
+  legLines(x,y,w,h,pose,t,a, 'rgba(180,190,210,'); if (!ghost) outline(x,y,w,h,10,'rgba(0,0,0,0.85)');
+}
+function drawCat(x,y,w,h,pose,t,a,accent,ghost){
+  roundRect(x,y,w,h,12,`rgba(255,244,234,${a})`,true);
+  ctx.fillStyle = `rgba(40,32,28,${a})`;
+  if (pose==='slide') {
+    // Ears flat back
+    tri(x+w*0.3,y+4, x+w*0.05,y-2, x+w*0.42,y+6);
+    tri(x+w*0.6,y+4, x+w*0.35,y-2, x+w*0.7,y+6);
+  } else {
+    const perk = pose==='dash' ? -12 : -8;
+    tri(x+w*0.25,y+6, x+w*0.38,y+perk, x+w*0.45,y+6);
+    tri(x+w*0.75,y+6, x+w*0.62,y+perk, x+w*0.55,y+6);
+  }
+  const fy = Math.min(18, h-8);
+  ctx.fillRect(x+w*0.47,y+fy,6,4); ctx.fillRect(x+w*0.44,y+fy+2,8,2); ctx.fillRect(x+w*0.54,y+fy+2,8,2);
+  ctx.fillStyle = `${toRgba(accent,0.8*a)}`; ctx.fillRect(x+6,y+Math.min(12,fy-6),w-12,pose==='slide' ? 4 : 7);
+  // Tail: wags when running, straight out behind when sliding or dashing
+  ctx.strokeStyle = `rgba(40,32,28,${a})`; ctx.lineWidth=5; ctx.lineCap='round';
+  ctx.beginPath();
+  if (pose==='slide' || pose==='dash') { ctx.moveTo(x+6, y+h*0.5); ctx.lineTo(x-26, y+h*0.45+Math.sin(t*14)*2); }
+  else { const wag = Math.sin(t*6)*8; ctx.moveTo(x+w-6, y+h*0.6); ctx.quadraticCurveTo(x+w+14, y+h*0.5-wag, x+w+24, y+h*0.35); }
+  ctx.stroke();
+  legLines(x,y,w,h,pose,t,a, 'rgba(80,70,60,'); if (!ghost) outline(x,y,w,h,12,'rgba(40,32,28,0.8)');
+}
+function drawAstronaut(x,y,w,h,pose,t,a,accent,ghost){
+  roundRect(x,y,w,h,12,`rgba(240,241,248,${a})`,true);
+  const hh = Math.min(22, h-6);
+  roundRect(x+6,y+2,w-12,hh,10,`rgba(30,40,56,${0.9*a})`,true);
+  ctx.fillStyle = `${toRgba(accent,0.35*a)}`; ctx.fillRect(x+8,y+6,w-16,hh-8);
+  if (pose==='slide') roundRect(x-12,y+4,12,h-8,4,`rgba(180,188,210,${0.9*a})`,true); // backpack, lying flat
+  else roundRect(x-10,y+10,10,22,4,`rgba(180,188,210,${0.9*a})`,true);
+  if (pose==='dash') {
+    // Jetpack burn
+    const flick = 10 + Math.sin(t*50)*4;
+    ctx.fillStyle=`rgba(255,170,60,${0.9*a})`; tri(x-10,y+14, x-10-flick-8,y+21, x-10,y+28);
+    ctx.fillStyle=`rgba(255,240,180,${a})`; tri(x-10,y+17, x-10-flick,y+21, x-10,y+25);
+  }
+  legLines(x,y,w,h,pose,t,a, 'rgba(80,100,130,'); if (!ghost) outline(x,y,w,h,12);
+}
+function drawSlime(x,y,w,h,pose,t,a,accent,ghost){
+  const wob = Math.sin(t*6)*2;
+  // Spreads into a puddle when sliding, stretches into a streak when dashing
+  const sx = pose==='slide' ? x-6 : pose==='dash' ? x-10 : x;
+  const sw = pose==='slide' ? w+12 : pose==='dash' ? w+10 : w;
+  roundRect(sx,y,sw,h,pose==='slide' ? h/2 : 16,`rgba(130,255,210,${0.75*a})`,true);
+  if (pose!=='slide') { ctx.fillStyle = `${toRgba(accent,0.35*a)}`; roundRect(x+8,y+10,w-16,8,6,ctx.fillStyle,true); }
+  const ey = pose==='slide' ? y+h*0.4 : y+20;
+  ctx.fillStyle='rgba(20,40,40,0.9)'; ctx.beginPath(); ctx.arc(x+w*0.45, ey+wob*0.2, pose==='dash' ? 3 : 4, 0, Math.PI*2); ctx.fill();
+  ctx.beginPath(); ctx.arc(x+w*0.75, ey-wob*0.2, pose==='dash' ? 3 : 4, 0, Math.PI*2); ctx.fill();
+  if (pose!=='slide') legLines(x,y,w,h,pose,t,a, 'rgba(40,80,70,');
+  if (!ghost) outline(sx,y,sw,h,pose==='slide' ? h/2 : 16,'rgba(0,0,0,0.6)');
+}
+function drawWizard(x,y,w,h,pose,t,a,accent,ghost){
+  roundRect(x,y,w,h,10,`rgba(50,36,72,${a})`,true);
+  ctx.fillStyle = `rgba(30,22,44,${a})`;
+  // Hat: upright, blown back by a dash, pushed flat by a slide
+  if (pose==='slide') tri(x+w*0.15,y+4, x-w*0.35,y+2, x+w*0.45,y+6);
+  else if (pose==='dash') tri(x+w*0.2,y+6, x-w*0.15,y-8, x+w*0.7,y+6);
+  else tri(x+w*0.25,y+6, x+w*0.5, y-14, x+w*0.75, y+6);
+  ctx.fillStyle = `${toRgba(accent,0.7*a)}`; ctx.fillRect(x+8,y+Math.min(10,h*0.3),w-16,6);
+  if (pose!=='slide') { ctx.fillStyle='rgba(200,200,220,0.9)'; tri(x+w*0.35,y+16, x+w*0.65,y+16, x+w*0.5,y+34); }
+  if (pose==='dash') { ctx.fillStyle=`${toRgba(accent,0.6*a)}`; for (let i=0;i<3;i++) ctx.fillRect(x-8-i*10, y+h*0.3+((i*7+t*60)%18), 4, 4); } // sparks
+  legLines(x,y,w,h,pose,t,a, 'rgba(160,170,210,'); if (!ghost) outline(x,y,w,h,10,'rgba(0,0,0,0.8)');
+}
+
+function legLines(x,y,w,h,pose,t,a, rgbaPrefix){
+  ctx.strokeStyle = `${rgbaPrefix}${a})`; ctx.lineWidth=4;
+  ctx.beginPath();
+  if (pose==='slide') {
+    // Legs out front along the ground
+    ctx.moveTo(x+w*0.6, y+h-4); ctx.lineTo(x+w+10, y+h-2);
+    ctx.moveTo(x+w*0.5, y+h-2); ctx.lineTo(x+w+4, y+h);
+  } else if (pose==='dash') {
+    // Tucked and trailing
+    ctx.moveTo(x+w*0.32, y+h-8); ctx.lineTo(x+w*0.32-12, y+h-2);
+    ctx.moveTo(x+w*0.68, y+h-8); ctx.lineTo(x+w*0.68-10, y+h);
+  } else {
+    const stride = pose==='run' ? Math.sin(t*10)*6 : Math.sin(t*18)*4;
+    ctx.moveTo(x+w*0.32, y+h-8); ctx.lineTo(x+w*0.32-6+stride, y+h);
+    ctx.moveTo(x+w*0.68, y+h-8); ctx.lineTo(x+w*0.68+6+stride, y+h);
+  }
+  ctx.stroke();
+}
+function speedLines(x,y,w,h,a,accent){
+  ctx.strokeStyle = toRgba(accent, 0.5*a); ctx.lineWidth = 2;
+  ctx.beginPath();
+  for (let i=0;i<4;i++){ const ly = y + h*(0.2 + i*0.2); ctx.moveTo(x-10, ly); ctx.lineTo(x-40-(i%2)*16, ly); }
+  ctx.stroke();
+}
+function outline(x,y,w,h,r, stroke='rgba(16,24,36,0.9)'){
+  ctx.strokeStyle = stroke; ctx.lineWidth=2; roundRect(x,y,w,h,r,'transparent',false,2);
+}
+
+// ---------- Obstacles & Coins ----------
+function drawPillar(x,y,w,h){
+  const grad = ctx.createLinearGradient(x, y, x, y+h);
+  grad.addColorStop(0, '#f8898e'); grad.addColorStop(1, '#e0474f');
+  roundRect(x,y,w,h,8,grad,true);
+  ctx.fillStyle='rgba(255,255,255,0.25)'; ctx.fillRect(x+2,y+2,w-4,6);
+  ctx.fillStyle='#1a1c2c'; for (let i=0;i<3;i++){ ctx.fillRect(x+6,y+10+i*20,4,4); ctx.fillRect(x+w-10,y+18+i*20,4,4); }
+}
+function drawLaserGate(x,y,w,h){
+  roundRect(x-10,y-10,w+20,h+20,10,'#1b2a3a',true);
+  const g=ctx.createLinearGradient(x,y,x,y+h); g.addColorStop(0,'rgba(139,224,255,0.9)'); g.addColorStop(1,'rgba(123,220,255,0.7)');
+  roundRect(x,y,w,h,6,g,true);
+  ctx.fillStyle='rgba(123,220,255,0.2)'; roundRect(x-6,y-6,w+12,h+12,8,ctx.fillStyle,true);
+}
+// Emitter housing on top, flickering beams down to a glowing bottom edge (slide under it)
+function drawLaserCurtain(x,y,w,h,t){
+  roundRect(x-8,y-14,w+16,18,6,'#1b2a3a',true);
+  ctx.fillStyle='rgba(123,220,255,0.12)'; ctx.fillRect(x,y,w,h);
+  ctx.strokeStyle='rgba(139,224,255,0.85)'; ctx.lineWidth=2;
+  ctx.beginPath();
+  for (let bx=x+6; bx<x+w; bx+=12){ const j=Math.sin(t*30+bx)*1.5; ctx.moveTo(bx+j,y); ctx.lineTo(bx-j,y+h); }
+  ctx.stroke();
+  ctx.fillStyle='rgba(190,240,255,0.95)'; roundRect(x-4,y+h-5,w+8,6,3,ctx.fillStyle,true);
+}
+function drawPit(x,y,w){
+  const g=ctx.createLinearGradient(0,y,0,VH); g.addColorStop(0,'#0b0f1a'); g.addColorStop(1,'#000');
+  ctx.fillStyle=g; ctx.fillRect(x,y,w,VH-y);
+  // crumbly lips on both edges
+  ctx.fillStyle='rgba(0,0,0,0.35)'; ctx.fillRect(x-4,y,4,VH-y); ctx.fillRect(x+w,y,4,VH-y);
+  ctx.fillStyle='rgba(255,255,255,0.12)'; ctx.fillRect(x-6,y,6,3); ctx.fillRect(x+w,y,6,3);
+}
+// Checkered banner on two poles across the course
+function drawFinishLine(x,groundY){
+  const top = groundY - 190, sq = 10;
+  ctx.fillStyle='#e6edf5'; ctx.fillRect(x-3, top, 6, 190); ctx.fillRect(x+57, top, 6, 190);
+  for (let r=0;r<3;r++) for (let c=0;c<6;c++){
+    ctx.fillStyle = (r+c)%2 ? '#101824' : '#ffffff';
+    ctx.fillRect(x + c*sq, top + r*sq, sq, sq);
+  }
+  ctx.fillStyle='rgba(255,255,255,0.25)'; ctx.fillRect(x-1, top+30, 2, groundY-top-30);
+}
+function drawPlatform(x,y,w,h){
+  roundRect(x,y,w,h,6,'#8b5e34',true); ctx.fillStyle='#b07a45'; ctx.fillRect(x+4,y+2,w-8,4);
+  ctx.fillStyle='rgba(0,0,0,0.25)';
+  for (let px=x+18; px<x+w-8; px+=26) ctx.fillRect(px,y+7,3,h-9);
+  outline(x,y,w,h,6);
+}
+function drawSaw(x,y,r,angle){
+  ctx.fillStyle='rgba(255,224,139,0.12)'; ctx.beginPath(); ctx.arc(x,y,r+10,0,Math.PI*2); ctx.fill();
+  ctx.save(); ctx.translate(x,y); ctx.rotate(angle); ctx.fillStyle='#ffe08b';
+  const teeth=12; ctx.beginPath();
+  for (let i=0;i<teeth;i++){
+    const a=(i/teeth)*Math.PI*2; const a2=a+Math.PI*2/teeth/2;
+    ctx.moveTo(0,0); ctx.lineTo(Math.cos(a)*r,Math.sin(a)*r); ctx.lineTo(Math.cos(a2)*(r+6),Math.sin(a2)*(r+6)); ctx.closePath();
+  }
+  ctx.fill();
+  ctx.fillStyle='#1a1c2c'; ctx.beginPath(); ctx.arc(0,0,r*0.35,0,Math.PI*2); ctx.fill(); ctx.restore();
+}
+function drawStarCoin(x,y,r,t){
+  ctx.fillStyle='rgba(255,211,77,0.22)'; ctx.beginPath(); ctx.arc(x,y,r+8,0,Math.PI*2); ctx.fill();
+  const spikes=5,R=r,r2=r*0.45; ctx.save(); ctx.translate(x,y); ctx.rotate(t*0.6);
+  ctx.fillStyle='#ffd34d'; ctx.beginPath();
+  for (let i=0;i<spikes*2;i++){
+    const rad=(i%2===0)?R:r2; const ang=(i/(spikes*2))*Math.PI*2;
+    ctx.lineTo(Math.cos(ang)*rad,Math.sin(ang)*rad);
+  }
+  ctx.closePath(); ctx.fill(); ctx.strokeStyle='#ffe89a'; ctx.lineWidth=2; ctx.stroke(); ctx.restore();
+}
+function drawPickup(x,y,r,t,kind){
+  const { color, icon } = POWERUPS[kind];
+  const bob = Math.sin(t*3)*4;
+  ctx.fillStyle=toRgba(color, 0.25 + 0.1*Math.sin(t*6)); ctx.beginPath(); ctx.arc(x,y+bob,r+10,0,Math.PI*2); ctx.fill();
+  ctx.fillStyle='rgba(16,24,36,0.85)'; ctx.beginPath(); ctx.arc(x,y+bob,r,0,Math.PI*2); ctx.fill();
+  ctx.strokeStyle=color; ctx.lineWidth=3; ctx.stroke();
+  ctx.fillStyle='#fff'; ctx.font=`${Math.round(r*1.1)}px system-ui`; ctx.textAlign='center'; ctx.textBaseline='middle';
+  ctx.fillText(icon, x, y+bob+1);
+  ctx.textAlign='left'; ctx.textBaseline='alphabetic';
+}
+// Bubble round the runner while the shield is up; it flickers through the grace after it pops.
+function drawShieldAura(pl, shield, grace, t){
+  if (shield <= 0 && Math.floor(grace*20)%2===0) return;
+  const cx=pl.x+pl.w/2, cy=pl.y+pl.h/2, R=Math.max(pl.w,pl.h)*0.78 + Math.sin(t*5)*2;
+  const a = shield > 0 ? (shield < 2 ? 0.3 + 0.3*Math.abs(Math.sin(t*10)) : 0.55) : 0.3;
+  ctx.strokeStyle=toRgba(POWERUPS.shield.color, a); ctx.lineWidth=3;
+  ctx.beginPath(); ctx.arc(cx,cy,R,0,Math.PI*2); ctx.stroke();
+  ctx.fillStyle=toRgba(POWERUPS.shield.color, a*0.25); ctx.fill();
+}
+
+
+// ---------- Utils ----------
+function roundRect(x,y,w,h,r, fillStyle, fill=true, strokeW=0){
+  ctx.beginPath();
+  ctx.moveTo(x+r,y);
+  ctx.arcTo(x+w,y,x+w,y+h,r);
+  ctx.arcTo(x+w,y+h,x,y+h,r);
+  ctx.arcTo(x,y+h,x,y,r);
+  ctx.arcTo(x,y,x+w,y,r);
+  if (fill){ ctx.fillStyle=fillStyle; ctx.fill(); }
+  if (strokeW>0){ ctx.lineWidth=strokeW; ctx.strokeStyle= typeof fillStyle==='string'? fillStyle : '#0b0c12'; ctx.stroke(); }
+}
+function mapRange(v,a1,a2,b1,b2){ return b1 + (clamp((v-a1)/(a2-a1),0,1))*(b2-b1); }
+function hexRgb(hex){ const n=parseInt(hex.slice(1),16); return [n>>16, (n>>8)&255, n&255]; }
+function rgbCss([r,g,b]){ return `rgb(${r|0},${g|0},${b|0})`; }
+function toRgba(hex, a){ const h=hex.replace('#',''); const R=parseInt(h.slice(0,2),16), G=parseInt(h.slice(2,4),16), B=parseInt(h.slice(4,6),16); return `rgba(${R},${G},${B},${a})`; }
+function tri(x1,y1,x2,y2,x3,y3){ ctx.beginPath(); ctx.moveTo(x1,y1); ctx.lineTo(x2,y2); ctx.lineTo(x3,y3); ctx.closePath(); ctx.fill(); }
+export function shake(mag,time){ shakeMag = mag/100; shakeTime = time; }
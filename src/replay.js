@@ -0,0 +1,94 @@
+// src/replay.js
+// Run recording + playback. A replay is the seed, the starting mood, one input
+// byte per fixed tick (run-length encoded) and the mood changes by tick.
+// Mood entries are [tick, label] or [tick, label, valence, arousal].
+
+// v2: power-ups, v3: pits and platforms, v4: slide and dash (each changes how older inputs play out)
+export const REPLAY_VERSION = 4;
+
+// The fixed simulation step every run is recorded and played back at
+export const STEP = 1/60;
+
+// Input bits per tick
+const L = 1, R = 2, J = 4, S = 8, D = 16;
+
+export function packInput({ left, right, jump, slide, dash }) {
+  return (left ? L : 0) | (right ? R : 0) | (jump ? J : 0) | (slide ? S : 0) | (dash ? D : 0);
+}
+export function unpackInput(bits) {
+  return { left: !!(bits & L), right: !!(bits & R), jump: !!(bits & J), slide: !!(bits & S), dash: !!(bits & D) };
+}
+
+// [bits, count, bits, count, ...]
+export function encodeInputs(ticks) {
+  const out = [];
+  for (const b of ticks) {
+    if (out.length && out[out.length - 2] === b) out[out.length - 1]++;
+    else out.push(b, 1);
+  }
+  return out;
+}
+export function decodeInputs(runs) {
+  const ticks = [];
+  for (let i = 0; i < runs.length; i += 2) for (let n = 0; n < runs[i + 1]; n++) ticks.push(runs[i]);
+  return ticks;
+}
+
+const vecKey = (v) => v ? `${v.valence},${v.arousal}` : '';
+
+export function createRecorder({ seed, step, mood, vec = null }) {
+  const ticks = [];
+  const moods = [];
+  let lastMood = mood, lastVec = vecKey(vec);
+  return {
+    input(input) { ticks.push(packInput(input)); },
+    mood(m, v = null) {
+      if (m === lastMood && vecKey(v) === lastVec) return;
+      lastMood = m; lastVec = vecKey(v);
+      moods.push(v ? [ticks.length, m, v.valence, v.arousal] : [ticks.length, m]);
+    },
+    finish(extra = {}) {
+      return {
+        v: REPLAY_VERSION, seed, step, mood, vec: vec ? [vec.valence, vec.arousal] : null,
+        ticks: ticks.length, inputs: encodeInputs(ticks), moods: moods.slice(), ...extra
+      };
+    }
+  };
+}
+
+// Feeds a recorded run back one tick at a time.
+export function createPlayback(data) {
+  const ticks = decodeInputs(data.inputs);
+  let i = 0, m = 0;
+  const toVec = (a, b) => (a === undefined || a === null) ? null : { valence: a, arousal: b };
+  const state = {
+    mood: data.mood,
+    vec: data.vec ? toVec(data.vec[0], data.vec[1]) : null,
+    get tick() { return i; },
+    get done() { return i >= ticks.length; },
+    // Applies mood changes due at this tick, then returns its input.
+    next() {
+      while (m < data.moods.length && data.moods[m][0] <= i) {
+        const e = data.moods[m++];
+        state.mood = e[1]; state.vec = toVec(e[2], e[3]);
+      }
+      return unpackInput(ticks[i++] || 0);
+    }
+  };
+  return state;
+}
+
+export function serializeReplay(data) { return JSON.stringify(data); }
+
+export function parseReplay(text) {
+  const d = typeof text === 'string' ? JSON.parse(text) : text;
+  const moods = ['happy', 'calm', 'stressed'];
+  if (!d || d.v !== REPLAY_VERSION) throw new Error('Unsupported replay version');
+  if (!Number.isFinite(d.seed) || !Number.isFinite(d.step) || d.step <= 0) throw new Error('Replay is missing seed/step');
+  // Playback always ticks at STEP; another step would silently desync
+  if (Math.abs(d.step - STEP) > 1e-9) throw new Error(`Replay was recorded at a ${d.step} s step, not ${STEP} s`);
+  if (!moods.includes(d.mood)) throw new Error('Replay has an invalid starting mood');
+  if (!Array.isArray(d.inputs) || d.inputs.length % 2) throw new Error('Replay inputs are malformed');
+  if (!Array.isArray(d.moods) || d.moods.some(e => !Array.isArray(e) || !moods.includes(e[1]))) throw new Error('Replay mood log is malformed');
+  return d;
+}
@@ -0,0 +1,32 @@
+// src/rng.js
+// Small seedable PRNG (mulberry32) so a course can be regenerated from its seed.
+
+export function createRng(seed) {
+  let s = seed >>> 0;
+  const next = () => {
+    s = (s + 0x6D2B79F5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    seed: seed >>> 0,
+    next,
+    range: (a, b) => a + next() * (b - a),
+    int: (n) => Math.floor(next() * n),
+    chance: (p) => next() < p,
+  };
+}
+
+export function randomSeed() { return (Math.random() * 4294967296) >>> 0; }
+
+// Accepts a number or any string ("1234", "banana") → uint32, or null if empty.
+export function parseSeed(v) {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  if (Number.isFinite(n)) return n >>> 0;
+  let h = 2166136261;
+  for (const ch of String(v)) h = Math.imul(h ^ ch.charCodeAt(0), 16777619);
+  return h >>> 0;
+}
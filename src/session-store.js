@@ -0,0 +1,56 @@
+// src/session-store.js
+// Session history in IndexedDB (a run's timeline is too big for localStorage).
+// Like ghost.js, storage problems never break a run: writes fail quietly and
+// reads come back empty.
+
+const DB_NAME = 'emotion-escape';
+const STORE = 'sessions';
+const MAX_SESSIONS = 500;   // oldest are dropped beyond this
+
+let opening = null;
+
+function openDB(idb = globalThis.indexedDB) {
+  if (!idb) return Promise.reject(new Error('IndexedDB is not available'));
+  if (!opening) {
+    opening = new Promise((resolve, reject) => {
+      const req = idb.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch((e) => { opening = null; throw e; });
+  }
+  return opening;
+}
+
+const done = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+async function withStore(mode, fn) {
+  const db = await openDB();
+  return fn(db.transaction(STORE, mode).objectStore(STORE));
+}
+
+// Resolves to the new session's id, or null if it couldn't be stored.
+export async function saveSession(session) {
+  try {
+    return await withStore('readwrite', async (store) => {
+      const id = await done(store.add(session));
+      const keys = await done(store.getAllKeys());
+      for (const k of keys.slice(0, Math.max(0, keys.length - MAX_SESSIONS))) store.delete(k);
+      return id;
+    });
+  } catch { return null; }
+}
+
+// Oldest first, each with its `id`.
+export async function listSessions() {
+  try { return await withStore('readonly', (store) => done(store.getAll())); }
+  catch { return []; }
+}
+
+export async function clearSessions() {
+  try { await withStore('readwrite', (store) => done(store.clear())); }
+  catch { /* nothing stored */ }
+}
@@ -0,0 +1,85 @@
+// src/session.js
+// Per-run analytics: a timeline of mood changes, smoothed face values (while
+// Mood AI is on), coins and the cause of death, summed up at game over.
+// Times are run seconds (world.runTime). Pure — storage is in session-store.js.
+
+import { MOODS } from './mood-classify.js';
+
+export const SESSION_VERSION = 1;
+const FACE_EVERY = 0.25;  // seconds between stored face samples
+const MAX_FACE = 4800;    // ~20 min
+
+// Obstacle types as the player sees them
+export const CAUSES = { block: 'Pillar', drone: 'Saw drone', gate: 'Laser gate', pit: 'Pit' };
+
+export function createSessionRecorder({ seed, mood, startedAt = Date.now() }) {
+  const moods = [[0, mood]];
+  const face = [];
+  let coins = 0, coinValue = 0, lastFace = -Infinity;
+  return {
+    mood(t, m) {
+      if (moods[moods.length - 1][1] === m) return;
+      moods.push([round2(t), m]);
+    },
+    // { smile, brow } already smoothed by the detector
+    face(t, { smile, brow }) {
+      if (t - lastFace < FACE_EVERY || face.length >= MAX_FACE) return;
+      lastFace = t;
+      face.push([round2(t), round2(smile), round2(brow)]);
+    },
+    coin(worth = 1) { coins++; coinValue += worth; },
+    finish({ t, score, obstacle = null }) {
+      const duration = round2(t);
+      return {
+        v: SESSION_VERSION, startedAt, seed, duration, score, coins, coinValue,
+        cause: obstacle ? obstacle.type : null,
+        moods: moods.slice(), face: face.slice(),
+        share: moodShare(moods, duration),
+      };
+    },
+  };
+}
+
+// Fraction of the run spent in each mood (0..1, sums to 1 for a non-empty run).
+export function moodShare(moods, duration) {
+  const share = Object.fromEntries(MOODS.map(m => [m, 0]));
+  if (!(duration > 0)) return share;
+  moods.forEach(([t, m], i) => {
+    const end = i + 1 < moods.length ? moods[i + 1][0] : duration;
+    share[m] += Math.max(0, Math.min(end, duration) - t) / duration;
+  });
+  for (const m of MOODS) share[m] = Math.round(share[m] * 1000) / 1000;
+  return share;
+}
+
+// Mood segments for the chart: [{ from, to, mood }]
+export function moodSegments({ moods, duration }) {
+  return moods.map(([t, mood], i) => ({ from: t, to: i + 1 < moods.length ? moods[i + 1][0] : duration, mood }))
+    .filter(s => s.to > s.from);
+}
+
+export const dominantMood = (share) => MOODS.reduce((a, m) => share[m] > share[a] ? m : a, 'calm');
+
+// ---------- Export ----------
+const CSV_COLUMNS = [
+  'id', 'startedAt', 'seed', 'duration', 'score', 'coins', 'coinValue', 'cause',
+  'happy', 'calm', 'stressed', 'moodChanges', 'moodAI',
+];
+
+// One row per session; shares are fractions of the run.
+export function sessionsToCSV(sessions) {
+  const rows = sessions.map(s => [
+    s.id ?? '', new Date(s.startedAt).toISOString(), s.seed, s.duration, s.score, s.coins, s.coinValue,
+    s.cause ?? '', s.share.happy, s.share.calm, s.share.stressed, s.moods.length - 1, s.face.length ? 1 : 0,
+  ]);
+  return [CSV_COLUMNS, ...rows].map(r => r.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+export function sessionsToJSON(sessions) { return JSON.stringify({ v: SESSION_VERSION, sessions }, null, 2); }
+
+function csvCell(v) {
+  const s = String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const round2 = (x) => Math.round(x * 100) / 100;
@@ -0,0 +1,33 @@
+// src/stage-progress.js
+// Best time and stars per stage id, kept in localStorage. A result only
+// replaces the saved one where it is better (more stars, or a faster finish).
+
+const KEY = 'ee_stages';
+
+export function loadProgress() {
+  let saved = null;
+  try { saved = JSON.parse(localStorage.getItem(KEY) || 'null'); } catch { /* corrupt: start over */ }
+  const out = {};
+  if (!saved || typeof saved !== 'object') return out;
+  for (const [id, p] of Object.entries(saved)) {
+    if (!p || !Number.isFinite(p.stars)) continue;
+    out[id] = { stars: Math.max(0, Math.min(3, p.stars)), best: Number.isFinite(p.best) ? p.best : null };
+  }
+  return out;
+}
+
+// result: { finished, time, stars } → { stars, best, newBest }
+export function recordResult(id, { finished, time, stars }) {
+  const all = loadProgress();
+  const prev = all[id] || { stars: 0, best: null };
+  const newBest = !!finished && (prev.best === null || time < prev.best);
+  const next = { stars: Math.max(prev.stars, stars), best: newBest ? time : prev.best };
+  all[id] = next;
+  try { localStorage.setItem(KEY, JSON.stringify(all)); }
+  catch { /* quota / private mode: progress just doesn't stick */ }
+  return { ...next, newBest };
+}
+
+export function clearProgress() {
+  try { localStorage.removeItem(KEY); } catch { /* nothing to clear */ }
+}
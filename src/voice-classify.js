@@ -0,0 +1,174 @@
+// src/voice-classify.js
+// Voice arousal from microphone frames: loudness, pitch variability and speaking
+// rate compared with the player's own calm-voice baseline. Pure — frames are
+// plain Float32Arrays, so recorded WAVs run through it under node.
+//
+// Voice carries arousal, not valence: a raised voice reads as stressed, a
+// relaxed one (or silence) as calm. Happy stays a camera / keyboard mood.
+
+import { clamp01 } from './mood-classify.js';
+
+export const VOICE_DEFAULTS = {
+  windowMs: 2000,      // features are taken over this much recent audio
+  calibrateMs: 4000,   // speaking time needed for the neutral baseline
+  minRms: 0.01,        // noise gate (~-40 dBFS)
+  stressEnter: 0.6, stressExit: 0.45,   // arousal hysteresis
+  dwellMs: 1500,
+};
+
+// Analysis frame: a power of two covering ~40 ms (enough for two periods at 75 Hz).
+export function frameSizeFor(sampleRate) {
+  let n = 256;
+  while (n < sampleRate * 0.04) n *= 2;
+  return n;
+}
+
+// ---------- WAV (PCM 16-bit / float 32) ----------
+export function decodeWav(buf) {
+  const view = new DataView(buf instanceof ArrayBuffer ? buf : buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength));
+  const tag = (o) => String.fromCharCode(view.getUint8(o), view.getUint8(o+1), view.getUint8(o+2), view.getUint8(o+3));
+  if (tag(0) !== 'RIFF' || tag(8) !== 'WAVE') throw new Error('Not a WAV file');
+  let fmt = null, off = 12;
+  while (off + 8 <= view.byteLength) {
+    const id = tag(off), size = view.getUint32(off + 4, true), body = off + 8;
+    if (id === 'fmt ') {
+      fmt = { format: view.getUint16(body, true), channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true), bits: view.getUint16(body + 14, true) };
+    } else if (id === 'data') {
+      if (!fmt) throw new Error('WAV data before fmt chunk');
+      const bytes = fmt.bits / 8, n = Math.floor(size / (bytes * fmt.channels));
+      const out = new Float32Array(n);
+      for (let i = 0; i < n; i++) {
+        const p = body + i * bytes * fmt.channels;   // first channel only
+        if (fmt.format === 3 && fmt.bits === 32) out[i] = view.getFloat32(p, true);
+        else if (fmt.format === 1 && fmt.bits === 16) out[i] = view.getInt16(p, true) / 32768;
+        else throw new Error(`Unsupported WAV encoding (format ${fmt.format}, ${fmt.bits} bit)`);
+      }
+      return { sampleRate: fmt.sampleRate, samples: out };
+    }
+    off = body + size + (size & 1);
+  }
+  throw new Error('WAV has no data chunk');
+}
+
+// ---------- Per-frame features ----------
+// RMS level and pitch by normalized autocorrelation (75–400 Hz), null if unvoiced.
+export function frameFeatures(frame, sampleRate) {
+  let sum = 0;
+  for (let i = 0; i < frame.length; i++) sum += frame[i] * frame[i];
+  const rms = Math.sqrt(sum / frame.length);
+  return { rms, pitch: rms > 0 ? detectPitch(frame, sampleRate) : null };
+}
+
+function detectPitch(x, sr) {
+  const minLag = Math.floor(sr / 400), maxLag = Math.min(Math.ceil(sr / 75), x.length >> 1);
+  const n = x.length - maxLag;
+  const r = new Float32Array(maxLag + 2);
+  let best = 0;
+  for (let lag = minLag; lag <= maxLag + 1; lag++) {
+    let xy = 0, xx = 0, yy = 0;
+    for (let i = 0; i < n; i++) { const a = x[i], b = x[i + lag]; xy += a * b; xx += a * a; yy += b * b; }
+    r[lag] = xx && yy ? xy / Math.sqrt(xx * yy) : 0;
+    if (lag <= maxLag && r[lag] > best) best = r[lag];
+  }
+  if (best < 0.6) return null;
+  // First lag close to the best peak avoids octave-down errors
+  for (let lag = minLag + 1; lag <= maxLag; lag++) {
+    if (r[lag] >= best * 0.9 && r[lag] >= r[lag - 1] && r[lag] >= r[lag + 1]) {
+      const d = r[lag - 1] - 2 * r[lag] + r[lag + 1];
+      const shift = d ? 0.5 * (r[lag - 1] - r[lag + 1]) / d : 0;
+      return sr / (lag + shift);
+    }
+  }
+  return null;
+}
+
+// ---------- Windowed features ----------
+// energyDb: mean level of voiced frames; pitchSd: spread of voiced pitch in
+// semitones; rate: syllable-like onsets per second; voiced: share of voiced frames.
+export function createVoiceAnalyzer({ windowMs = VOICE_DEFAULTS.windowMs, minRms = VOICE_DEFAULTS.minRms } = {}) {
+  let frames = [];
+  let loud = false;
+  return {
+    push(frame, sampleRate, t) {
+      const f = frameFeatures(frame, sampleRate);
+      const voiced = f.rms >= minRms && f.pitch !== null;
+      // Onset = level rising through 2× the gate after dropping under 1.2×
+      let onset = false;
+      if (!loud && f.rms >= minRms * 2) { loud = true; onset = true; }
+      else if (loud && f.rms < minRms * 1.2) loud = false;
+      frames.push({ t, rms: f.rms, pitch: voiced ? f.pitch : null, onset });
+      frames = frames.filter(x => x.t > t - windowMs);
+      return f;
+    },
+    features() {
+      const v = frames.filter(x => x.pitch !== null);
+      if (!v.length) return { energyDb: null, pitchSd: null, rate: 0, voiced: 0 };
+      const db = v.map(x => 20 * Math.log10(x.rms));
+      const st = v.map(x => 12 * Math.log2(x.pitch));
+      const span = Math.max(frames[frames.length - 1].t - frames[0].t, 1);
+      return {
+        energyDb: mean(db),
+        pitchSd: Math.sqrt(mean(st.map(s => (s - mean(st)) ** 2))),
+        rate: frames.filter(x => x.onset).length / (span / 1000),
+        voiced: v.length / frames.length,
+      };
+    },
+    reset() { frames = []; loud = false; },
+  };
+}
+
+// 0.2 (calm) .. 0.9 from how far louder, more varied and faster than neutral the voice is.
+export function voiceArousal(f, n) {
+  const e = clamp01((f.energyDb - n.energyDb) / 12);                 // +12 dB → max
+  const p = clamp01((f.pitchSd - n.pitchSd) / Math.max(1, n.pitchSd)); // twice the spread → max
+  const r = clamp01((f.rate - n.rate) / Math.max(1, n.rate));          // twice as fast → max
+  return 0.2 + 0.7 * (0.45 * e + 0.3 * p + 0.25 * r);
+}
+
+// ---------- Classifier ----------
+// Same shape as the face strategies: update() → { raw, neutral, calibrating, mood, vector }.
+// The first calibrateMs of voiced audio is the neutral baseline; silence eases back to calm.
+export function createVoiceClassifier(opts = {}) {
+  const o = { ...VOICE_DEFAULTS, ...opts };
+  const analyzer = createVoiceAnalyzer(o);
+  let neutral = null, acc = [], voicedMs = 0, lastT = null;
+  let arousal = 0.2, mood = 'calm', since = -Infinity;
+
+  return {
+    kind: 'voice',
+    get options() { return o; },
+    reset() { analyzer.reset(); neutral = null; acc = []; voicedMs = 0; lastT = null; arousal = 0.2; mood = 'calm'; since = -Infinity; },
+    recalibrate() { neutral = null; acc = []; voicedMs = 0; },
+
+    update(frame, sampleRate, t) {
+      const dt = lastT === null ? 0 : t - lastT;
+      lastT = t;
+      analyzer.push(frame, sampleRate, t);
+      const f = analyzer.features();
+
+      if (!neutral) {
+        // Time with speech in the window (pauses between words included)
+        if (f.energyDb !== null) { voicedMs += dt; acc.push(f); }
+        if (voicedMs >= o.calibrateMs) {
+          neutral = {
+            energyDb: mean(acc.map(x => x.energyDb)),
+            pitchSd: mean(acc.map(x => x.pitchSd)),
+            rate: mean(acc.map(x => x.rate)),
+          };
+          acc = [];
+        }
+        if (!neutral) return { raw: f, neutral, calibrating: true, arousal, mood: 'calm', vector: null };
+      }
+
+      const target = f.energyDb === null ? 0.2 : voiceArousal(f, neutral);
+      arousal += (target - arousal) * 0.3;
+      const next = mood === 'stressed' ? (arousal > o.stressExit ? 'stressed' : 'calm')
+        : (arousal > o.stressEnter ? 'stressed' : 'calm');
+      if (next !== mood && t - since >= o.dwellMs) { mood = next; since = t; }
+      return { raw: f, neutral, calibrating: false, arousal, mood, vector: { valence: 0.5, arousal } };
+    }
+  };
+}
+
+const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
@@ -0,0 +1,554 @@
+// src/world.js
+// Headless simulation core: player physics, spawning and collisions.
+// No DOM, canvas or storage here — the same code runs in the browser and under node.
+
+import { createRng } from './rng.js';
+import { MOODS, moodWeights } from './mood-classify.js';
+import {
+  POWERUPS, createPowers, grantPowerup, tickPowers, isActive, timeScale, maxJumps, pickPowerup, SHIELD_GRACE
+} from './powerups.js';
+import { levelEntries, levelMoodAt, moodLocked } from './level.js';
+
+// Virtual resolution (physics space). The renderer scales this to fit the screen.
+export const VW = 1024, VH = 576;
+export const GROUND_Y = VH - 96;
+
+// ---------- Mood Params (with difficulty) ----------
+const MOOD_PRESETS = {
+  happy: {
+    sky:'#69e1ff', skyTop:'#baf2ff', skyBottom:'#5fb9ff', ground:'#16a34a', fog:0.03, accent:'#7bdcff',
+    speedBase:300, grav:1480,
+    spawnRateBase:1.1, gapBias:+40, coinRate:1.5, droneRate:0.18, pillarRate:0.46, pitRate:0.35, duckRate:0.25, dashRate:0.2,
+    powerRate:0.10, powerShield:1, powerMagnet:2.5, powerSlowmo:0.5, powerJump:1.5,
+  },
+  stressed: {
+    sky:'#1a2a3a', skyTop:'#08131f', skyBottom:'#0f2234', ground:'#0f5132', fog:0.10, accent:'#ff7b88',
+    speedBase:360, grav:1560,
+    spawnRateBase:0.82, gapBias:-20, coinRate:0.85, droneRate:0.33, pillarRate:0.40, pitRate:0.55, duckRate:0.4, dashRate:0.35,
+    powerRate:0.14, powerShield:2.5, powerMagnet:0.5, powerSlowmo:2, powerJump:1,
+  },
+  calm: {
+    sky:'#259eff', skyTop:'#0b1d3a', skyBottom:'#1d3f6e', ground:'#00aa55', fog:0.05, accent:'#66e0ff',
+    speedBase:330, grav:1520,
+    spawnRateBase:0.95, gapBias:+10, coinRate:1.0, droneRate:0.25, pillarRate:0.45, pitRate:0.45, duckRate:0.3, dashRate:0.25,
+    powerRate:0.08, powerShield:1, powerMagnet:1, powerSlowmo:1, powerJump:1,
+  },
+};
+
+// With a { valence, arousal } vector every number and colour is blended between
+// the three presets; without one the label's preset is used as-is.
+export function moodParams(mood = 'calm', vec = null){
+  if (!vec) return { ...(MOOD_PRESETS[mood] || MOOD_PRESETS.calm) };
+  const w = moodWeights(vec);
+  const out = {};
+  for (const k of Object.keys(MOOD_PRESETS.calm)) {
+    const v = MOOD_PRESETS.calm[k];
+    out[k] = typeof v === 'string'
+      ? mixHex(MOODS.map(m => [MOOD_PRESETS[m][k], w[m]]))
+      : MOODS.reduce((acc, m) => acc + MOOD_PRESETS[m][k] * w[m], 0);
+  }
+  return out;
+}
+
+function mixHex(pairs){
+  let r = 0, g = 0, b = 0;
+  for (const [hex, w] of pairs) {
+    const n = parseInt(hex.slice(1), 16);
+    r += (n >> 16) * w; g += ((n >> 8) & 255) * w; b += (n & 255) * w;
+  }
+  return '#' + [r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+}
+
+// Speed and gravity ease toward a new mood's values instead of snapping
+// (time constant in seconds; ~95% there after 1 s).
+export const MOOD_EASE = 0.33;
+
+// Jump arc: take-off speeds for the ground jump and the air jumps.
+export const JUMP_VY = 700, AIR_JUMP_VY = 650;
+
+// Slide: a lower hitbox for at least SLIDE_TIME (longer while held, or while
+// there's no room to stand). Air-dash: a flat burst with gravity off, then a cooldown.
+export const PLAYER_H = 52, SLIDE_H = 26, SLIDE_TIME = 0.5;
+export const DASH_TIME = 0.18, DASH_SPEED = 620, DASH_COOLDOWN = 1.0;
+
+// Worst cases over the presets, for the clearability checks below.
+const presetValues = (k) => Object.values(MOOD_PRESETS).map(p => p[k]);
+const MIN_SPEED_BASE = Math.min(...presetValues('speedBase')), MAX_SPEED_BASE = Math.max(...presetValues('speedBase'));
+const MIN_GRAV = Math.min(...presetValues('grav')), MAX_GRAV = Math.max(...presetValues('grav'));
+
+// A 'milestone' event each time the difficulty ramp adds this much speed (~30 s).
+export const SPEED_MILESTONE = 24;
+
+// ---------- World ----------
+// step() returns the events raised during that tick
+// ({type:'jump'|'land'|'slide'|'dash'|'coin'|'hit'|'pass'|'milestone'|'powerup'|'shield'|'mood'|'finish', ...})
+// 'hit' carries the obstacle that ended the run — a {type:'pit'} when the player fell in.
+// so the caller can play sounds and particles without the core knowing about either.
+// `mood` is the label (picks spawn patterns), `moodVec` the optional continuous vector.
+// With a parsed `level` (src/level.js) the course is the stage's instead of
+// spawnLogic's, there's no difficulty ramp, and the run ends at its finish line.
+// `from` starts the run that far along the course (the editor's playtest);
+// entries wholly behind that point are skipped, but a pit or platform that
+// spans it is still placed, at its real offset.
+export function createWorld({ seed = 0, mood = 'calm', moodVec = null, level = null, from = 0 } = {}){
+  const locked = !!level && moodLocked(level);
+  if (locked) { mood = levelMoodAt(level, from); moodVec = null; }
+  const entries = level ? levelEntries(level).filter(e => e.at + (e.item.w || 0) >= from) : null;
+  const p = moodParams(mood, moodVec);
+  const world = {
+    seed: seed >>> 0,
+    rng: createRng(seed),
+    mood,
+    moodVec,
+    groundY: GROUND_Y,
+    speed: p.speedBase,
+    speedRamp: 0,
+    gravity: p.grav,
+    ease: { speedBase: p.speedBase, grav: p.grav },
+    player: {
+      x: START_X, y: GROUND_Y - PLAYER_H, w: 46, h: PLAYER_H, vx: 0, vy: 0,
+      onGround: true, jumpsLeft: 2,
+      coyote: 0, jumpBuf: 0,
+      slide: 0,                          // seconds of slide left
+      dash: 0, dashDir: 1, dashCool: 0,  // seconds of dash left, direction, cooldown
+    },
+    obstacles: [], // {type:'block'|'drone'|'gate'|'pit'|'platform', x,y,w,h,r,vy,angle}
+    landingX: -Infinity, // far edge of the last pit pattern; nothing spawns on its landing
+    coins: [],
+    pickups: [],   // power-ups: {kind, x, y, r, t}
+    powers: createPowers(),
+    grace: 0,      // seconds of invulnerability after a shield pops
+    // Power-ups roll on their own stream so drop rates don't reshape the course
+    powerRng: createRng((seed ^ 0x5EED5EED) >>> 0),
+    runTime: 0,
+    distance: level ? from : 0,   // px the course has scrolled
+    collected: 0,  // coin value picked up
+    score: 0,
+    timeSinceSpawn: 0,
+    alive: true,
+    finished: false,
+    level,
+    moodLocked: locked,
+    levelEntries: entries,
+    levelNext: 0,
+    events: [],
+    step: (dt, input) => step(world, dt, input),
+  };
+  return world;
+}
+
+export function step(world, dt, input = {}){
+  world.events = [];
+  if (!world.alive) return world.events;
+  if (input.jump) world.player.jumpBuf = 0.18; // jump buffer
+
+  world.runTime += dt;
+  world.score += dt * 2.0;
+
+  const mood = moodParams(world.mood, world.moodVec);
+  const k = 1 - Math.exp(-dt / MOOD_EASE);
+  world.ease.speedBase += (mood.speedBase - world.ease.speedBase) * k;
+  world.ease.grav += (mood.grav - world.ease.grav) * k;
+  world.gravity = world.ease.grav;
+
+  // Speed follows the mood, plus a soft difficulty ramp over the run
+  const level = Math.floor(world.speedRamp / SPEED_MILESTONE);
+  if (!world.level) world.speedRamp += dt * 0.8;
+  tickPowers(world.powers, dt);
+  world.grace = Math.max(0, world.grace - dt);
+  world.speed = (world.ease.speedBase + world.speedRamp) * timeScale(world.powers);
+  if (Math.floor(world.speedRamp / SPEED_MILESTONE) > level) {
+    world.events.push({ type:'milestone', level: level + 1, speed: world.speed });
+  }
+
+  handlePlayer(world, dt, input);
+  if (world.level) spawnLevel(world);
+  else spawnLogic(world, dt, mood);
+  moveWorld(world, dt);
+  handleCollisions(world);
+  if (world.level && world.alive) checkStage(world);
+
+  world.obstacles = world.obstacles.filter(o => (o.x + (o.w||0) > -180) && (o.y < VH + 400));
+  world.coins = world.coins.filter(c => (c.x + c.r > -160));
+  world.pickups = world.pickups.filter(u => u.x + u.r > -160);
+  return world.events;
+}
+
+// ---------- Player & Gameplay ----------
+export function handlePlayer(world, dt, { left = false, right = false, slide = false, dash = false } = {}){
+  const { player } = world;
+
+  const accel = 1400, maxvx = 260;
+  player.vx += ((right?1:0)-(left?1:0)) * accel * dt;
+  player.vx *= (player.onGround ? 0.88 : 0.98);
+  player.vx = clamp(player.vx, -maxvx, maxvx);
+
+  player.coyote = player.onGround ? 0.18 : Math.max(0, player.coyote - dt);
+  player.jumpBuf = Math.max(0, player.jumpBuf - dt);
+  player.dashCool = Math.max(0, player.dashCool - dt);
+
+  if (player.slide > 0) {
+    player.slide = Math.max(0, player.slide - dt);
+    if (slide || !roomToStand(world)) player.slide = Math.max(player.slide, dt);
+    if (!player.onGround) player.slide = 0;
+    if (player.slide === 0) setHeight(player, PLAYER_H);
+  } else if (slide && player.onGround && player.jumpBuf === 0) {
+    player.slide = SLIDE_TIME; setHeight(player, SLIDE_H);
+    world.events.push({ type:'slide', x: player.x+player.w/2, y: player.y+player.h });
+  }
+
+  if (dash && !player.onGround && player.dashCool === 0) {
+    player.dash = DASH_TIME; player.dashCool = DASH_COOLDOWN; player.dashDir = (left && !right) ? -1 : 1;
+    player.vy = 0;
+    world.events.push({ type:'dash', dir: player.dashDir, x: player.x+player.w/2, y: player.y+player.h/2 });
+  }
+
+  if (player.jumpBuf > 0) {
+    // jumping stands the player up and ends a dash
+    if (player.slide > 0) { player.slide = 0; setHeight(player, PLAYER_H); }
+    player.dash = 0;
+    if (player.onGround || player.coyote > 0) {
+      player.vy = -JUMP_VY; world.events.push({ type:'jump', double:false, x: player.x+player.w/2, y: player.y+player.h });
+      player.onGround = false; player.coyote = 0; player.jumpsLeft = maxJumps(world.powers) - 1; player.jumpBuf = 0;
+    } else if (player.jumpsLeft > 0) {
+      player.vy = -AIR_JUMP_VY; world.events.push({ type:'jump', double:true, x: player.x+player.w/2, y: player.y+player.h/2 });
+      // walking off a ledge spends the ground jump too
+      player.jumpsLeft = Math.min(player.jumpsLeft, maxJumps(world.powers) - 1) - 1; player.jumpBuf = 0;
+    }
+  }
+
+  const prevBottom = player.y + player.h;
+  if (player.dash > 0) {
+    player.dash = Math.max(0, player.dash - dt);
+    player.vy = 0; player.x += player.dashDir * DASH_SPEED * dt;
+  } else player.vy += world.gravity * dt;
+  player.x += player.vx * dt;
+  player.y += player.vy * dt;
+
+  const floor = surfaceBelow(world, prevBottom);
+  if (floor !== null) {
+    if (!player.onGround && player.vy > 300) world.events.push({ type:'land', x: player.x+player.w/2, y: floor });
+    player.y = floor - player.h; player.vy = 0; player.onGround = true; player.jumpsLeft = maxJumps(world.powers);
+  } else player.onGround = false;
+
+  // Below the ground line the pit's walls hold the player in
+  if (player.y + player.h > world.groundY + 1) {
+    const pit = pitAt(world, player.x + player.w/2);
+    if (pit) player.x = clamp(player.x, pit.x - EDGE, pit.x + pit.w - player.w + EDGE);
+  }
+
+  player.x = clamp(player.x, 20, VW-80);
+}
+
+// Resize around the feet
+function setHeight(player, h){ player.y += player.h - h; player.h = h; }
+
+// Could a sliding player stand up here without touching a block or gate?
+function roomToStand(world){
+  const { player } = world;
+  const standing = { x: player.x, y: player.y + player.h - PLAYER_H, w: player.w, h: PLAYER_H };
+  return !world.obstacles.some(o => (o.type==='block' || o.type==='gate') && rectOverlap(standing, o));
+}
+
+// The player stands on a ledge until only EDGE px of them are still over it.
+const EDGE = 8;
+
+export function pitAt(world, x){
+  return world.obstacles.find(o => o.type==='pit' && x >= o.x && x <= o.x + o.w) || null;
+}
+
+// Top of the surface that stops the player's fall this tick, or null. Ground is
+// solid except over pits; platforms are one-way — only landed on from above.
+function surfaceBelow(world, prevBottom){
+  const { player } = world;
+  const left = player.x + EDGE, right = player.x + player.w - EDGE, bottom = player.y + player.h;
+  const crossed = (y) => prevBottom <= y + 0.01 && bottom >= y;
+  let top = null;
+  const overPit = world.obstacles.some(o => o.type==='pit' && left >= o.x && right <= o.x + o.w);
+  if (!overPit && crossed(world.groundY)) top = world.groundY;
+  for (const o of world.obstacles) {
+    if (o.type==='platform' && right > o.x && left < o.x + o.w && crossed(o.y) && (top === null || o.y < top)) top = o.y;
+  }
+  return top;
+}
+
+// Horizontal distance a ground jump carries the runner at `speed` before it
+// comes back down to `rise` px above its take-off height (negative = below).
+export function jumpReach(speed, grav, rise = 0){
+  const d = JUMP_VY*JUMP_VY - 2*grav*rise;
+  return d < 0 ? 0 : speed * (JUMP_VY + Math.sqrt(d)) / grav;
+}
+
+// ---------- Stages ----------
+// Player's starting x: a level entry at distance `at` lines up with it once the
+// course has scrolled `at` px.
+export const START_X = 160;
+const LEVEL_AHEAD = 200;   // place entries this far past the right edge
+
+// Where the finish line is on screen now
+export const finishX = (world) => START_X + world.level.length - world.distance;
+
+function spawnLevel(world){
+  const entries = world.levelEntries, { groundY } = world;
+  while (world.levelNext < entries.length) {
+    const { at, group, item } = entries[world.levelNext];
+    const x = START_X + at - world.distance;
+    if (x > VW + LEVEL_AHEAD) break;
+    world.levelNext++;
+    if (group === 'coins') world.coins.push({ x, y: groundY - item.alt, r: 9, worth: item.worth, t: 0 });
+    else if (group === 'pickups') world.pickups.push({ kind: item.kind, x, y: groundY - item.alt, r: 16, t: 0 });
+    else world.obstacles.push(placeObstacle(item, x, groundY));
+  }
+}
+function placeObstacle(o, x, groundY){
+  switch (o.type) {
+    case 'block':    return { type:'block', x, y: groundY - o.h, w: o.w, h: o.h };
+    case 'gate':     return { type:'gate', curtain: o.curtain, x, y: groundY - o.alt - o.h, w: o.w, h: o.h };
+    case 'drone':    return { type:'drone', x, y: groundY - o.alt, r: o.r, vy: o.bob, phase: 0, angle: 0 };
+    case 'pit':      return { type:'pit', x, y: groundY, w: o.w, h: VH - groundY };
+    case 'platform': return { type:'platform', x, y: groundY - o.alt, w: o.w, h: 16 };
+  }
+}
+
+// Mood zones and the finish line
+function checkStage(world){
+  if (world.moodLocked) {
+    const m = levelMoodAt(world.level, world.distance);
+    if (m !== world.mood) { world.mood = m; world.events.push({ type:'mood', mood: m }); }
+  }
+  const { player } = world;
+  if (player.x >= finishX(world)) {
+    world.alive = false; world.finished = true;
+    world.events.push({ type:'finish', time: world.runTime, coins: world.collected });
+  }
+}
+
+export function spawnLogic(world, dt, mood){
+  world.timeSinceSpawn += dt;
+  const base = mood.spawnRateBase;
+  const rate = spawnInterval(base, world.runTime);
+  // Hold the next pattern until the last pit's landing has scrolled in
+  const landing = jumpReach(MAX_SPEED_BASE + world.speedRamp, MIN_GRAV) + LAND_ROOM;
+  if (world.timeSinceSpawn >= rate && world.landingX + landing <= VW + 20) {
+    world.timeSinceSpawn = 0;
+    const r = world.rng.next();
+    if (r < mood.pillarRate) spawnBlockPattern(world);
+    else if (r < mood.pillarRate + mood.droneRate) spawnDrone(world, mood);
+    else if (world.rng.chance(mood.pitRate)) spawnPitPattern(world);
+    else spawnGapWithBridge(world, mood);
+    if (world.rng.chance(0.75*mood.coinRate)) spawnCoinsArc(world);
+    if (world.powerRng.chance(mood.powerRate)) spawnPowerup(world, mood);
+  }
+}
+
+// Seconds between spawns: tightens over the run, clamped to [0.55, 1.15].
+export function spawnInterval(base, runTime){ return clamp(base - runTime*0.006, 0.55, 1.15); }
+
+function spawnBlockPattern(world){
+  const { rng, groundY, obstacles } = world;
+  const minW = 50, maxW = 92;
+  const space = (world.mood==='happy') ? 140 : 120;
+  const baseH = 50 + rng.int(110);
+  if (rng.chance(0.65)) {
+    obstacles.push({type:'block', x: VW+40, y: groundY - baseH, w: rng.range(minW, maxW), h: baseH});
+  } else {
+    const h1 = baseH, h2 = clamp(baseH + (rng.chance(0.5)? -24: +24), 60, 160);
+    const w = rng.range(minW, maxW);
+    obstacles.push({type:'block', x: VW+20, y: groundY - h1, w, h: h1});
+    obstacles.push({type:'block', x: VW+20 + space, y: groundY - h2, w, h: h2});
+  }
+}
+function spawnDrone(world, mood){
+  const { rng } = world;
+  if (rng.chance(mood.dashRate)) return spawnDroneCeiling(world);
+  const r = 22 + rng.next()*10;
+  const y = world.groundY - (140 + rng.next()*200);
+  const vy = (world.mood==='stressed' ? 100 : 70) + rng.next()*70;
+  world.obstacles.push({type:'drone', x: VW+80, y, r, vy, phase: rng.next()*Math.PI*2, angle: 0});
+}
+function spawnGapWithBridge(world, mood){
+  const { rng, groundY, obstacles } = world;
+  if (rng.chance(mood.duckRate)) return spawnLaserCurtain(world);
+  const gap = 160 + rng.next()*90 + (mood.gapBias||0);
+  const w = 28 + rng.next()*28;
+  const h = 50 + rng.next()*80;
+  obstacles.push({type:'block', x: VW+20, y: groundY - h, w, h});
+  obstacles.push({type:'block', x: VW+20 + w + gap, y: groundY - h*0.72, w, h: h*0.72});
+  if (rng.chance(world.mood==='happy' ? 0.18 : 0.28)){
+    const gateH = 12, gateW = 140 + rng.next()*120;
+    const gy = groundY - (200 + rng.next()*120);
+    obstacles.push({type:'gate', x: VW+20 + 80, y: gy, w: gateW, h: gateH});
+  }
+}
+// ---------- Pits & platforms ----------
+// Every pit pattern is sized so the slowest run (slowest mood in slow-mo, heaviest
+// gravity) clears it with one ground jump taken at the last moment, with
+// CLEAR_MARGIN to spare — the air jump is never needed. A platform over a wide pit
+// is long enough that the fastest run still comes down on it.
+const CLEAR_MARGIN = 0.85;
+const LAND_ROOM = 80;   // clear ground past a jump's landing before the next pattern
+const RUN_UP = 90;      // clear ground before a pit
+
+// Worst-case (shortest) reach of a last-moment jump to a surface `rise` px up.
+function safeReach(world, rise = 0){
+  return jumpReach((MIN_SPEED_BASE + world.speedRamp) * POWERUPS.slowmo.scale, MAX_GRAV, rise) * CLEAR_MARGIN;
+}
+// Best-case (longest) reach, for how far past a platform's near end a jump can carry.
+function longReach(world, rise = 0){
+  return jumpReach(MAX_SPEED_BASE + world.speedRamp, MIN_GRAV, rise);
+}
+
+// Leave a run-up after whatever is still coming in from the right
+function patternStart(world){
+  return Math.max(VW + 20, ...world.obstacles.filter(o => o.type!=='drone').map(o => o.x + (o.w||0))) + RUN_UP;
+}
+// Gaps are measured edge to edge; the runner spans w - 2*EDGE of them
+const span = (world, reach) => reach + world.player.w - 2*EDGE;
+
+function spawnPitPattern(world){
+  const { rng, groundY, obstacles, player } = world;
+  const start = patternStart(world);
+  const minPit = player.w + 24;
+  if (rng.chance(0.5)) {
+    const w = rng.range(minPit, span(world, safeReach(world)));
+    obstacles.push({ type:'pit', x: start, y: groundY, w, h: VH - groundY });
+    world.landingX = start + w;
+    return;
+  }
+  // Wide pit with a platform: ground → platform → ground
+  const apex = JUMP_VY*JUMP_VY / (2*MAX_GRAV);
+  const h = rng.range(40, apex * 0.6);
+  const gapIn = rng.range(minPit, span(world, safeReach(world, h)));
+  const platW = Math.max(longReach(world, h) - gapIn + player.w, 160) + rng.range(0, 60);
+  const gapOut = rng.range(minPit, span(world, safeReach(world, -h)));
+  const w = gapIn + platW + gapOut;
+  obstacles.push({ type:'pit', x: start, y: groundY, w, h: VH - groundY });
+  obstacles.push({ type:'platform', x: start + gapIn, y: groundY - h, w: platW, h: 16 });
+  world.landingX = start + w;
+}
+
+// ---------- Slide & dash patterns ----------
+// Laser curtain: hangs from higher than jump + air jump can clear down to between
+// slide and standing height — slide under it (a slide lasts while there's no room to stand).
+function spawnLaserCurtain(world){
+  const { rng, groundY } = world;
+  const top = groundY - (JUMP_VY*JUMP_VY + AIR_JUMP_VY*AIR_JUMP_VY) / (2*MIN_GRAV) - PLAYER_H;
+  const bottom = groundY - SLIDE_H - 8 - rng.next() * (PLAYER_H - SLIDE_H - 16);
+  world.obstacles.push({ type:'gate', curtain: true, x: VW+20, y: top, w: 40 + rng.next()*60, h: bottom - top });
+}
+
+// A hop: jump, then dash DASH_HOP s later and drop from there. A drone ceiling sits
+// above the hop's head but inside a full jump's arc, so the pit under it calls for the hop.
+const DASH_HOP = 0.1;
+function hopHeight(grav){ return JUMP_VY*DASH_HOP - grav*DASH_HOP*DASH_HOP/2; }
+export function hopReach(speed, grav){
+  return speed * (DASH_HOP + DASH_TIME + Math.sqrt(2*hopHeight(grav)/grav)) + DASH_SPEED*DASH_TIME;
+}
+function spawnDroneCeiling(world){
+  const { rng, groundY, obstacles, player } = world;
+  const start = patternStart(world);
+  const reach = hopReach((MIN_SPEED_BASE + world.speedRamp) * POWERUPS.slowmo.scale, MAX_GRAV) * CLEAR_MARGIN;
+  const w = rng.range(player.w + 24, span(world, reach));
+  obstacles.push({ type:'pit', x: start, y: groundY, w, h: VH - groundY });
+  const r = 22, above = hopHeight(MIN_GRAV) + PLAYER_H + 16;
+  // Only the first drone raises a 'pass' — one whoosh per ceiling, not a stack of them
+  for (let x = start - 20; x <= start + w + 20; x += 2*r + 18) {
+    obstacles.push({ type:'drone', x, y: groundY - above - r, r, vy: 0, phase: 0, angle: rng.next()*Math.PI, passed: x > start - 20 });
+  }
+  world.landingX = start + w;
+}
+
+function spawnCoinsArc(world){
+  const { rng } = world;
+  const cx = VW + 60, cy = world.groundY - (120 + rng.next()*120);
+  const n = 5 + rng.int(4), r = 9;
+  for (let i=0;i<n;i++){
+    const x = cx + i*28; const y = cy - Math.sin(i/(n-1)*Math.PI) * 46;
+    world.coins.push({x, y, r, worth: (rng.chance(0.12)? 5:1), t: rng.next()*Math.PI*2});
+  }
+}
+function spawnPowerup(world, mood){
+  const { powerRng: rng } = world;
+  const kind = pickPowerup(rng, mood);
+  world.pickups.push({ kind, x: VW + 200 + rng.next()*120, y: world.groundY - (70 + rng.next()*150), r: 16, t: 0 });
+}
+function moveWorld(world, dt){
+  const { speed, player } = world;
+  world.distance += speed * dt;
+  world.landingX -= speed * dt;
+  world.obstacles.forEach(o => {
+    if (o.type!=='drone') o.x -= speed * dt;
+    else {
+      o.x -= speed * dt; o.phase += dt; o.y += Math.sin(o.phase*2.2) * o.vy * dt; o.angle += dt * 6.0;
+      // Drone fly-by (for the whoosh)
+      if (!o.passed && o.x < player.x + player.w/2) { o.passed = true; world.events.push({ type:'pass', obstacle: o, x: o.x, y: o.y }); }
+    }
+  });
+  world.coins.forEach(c => { c.x -= speed * dt; c.t += dt*4; });
+  world.pickups.forEach(u => { u.x -= speed * dt; u.t += dt; });
+  if (isActive(world.powers, 'magnet')) pullCoins(world, dt);
+}
+
+// Magnet: coins within reach drift toward the player's centre.
+function pullCoins(world, dt){
+  const { radius, pull } = POWERUPS.magnet;
+  const px = world.player.x + world.player.w/2, py = world.player.y + world.player.h/2;
+  for (const c of world.coins) {
+    const dx = px - c.x, dy = py - c.y, d = Math.hypot(dx, dy);
+    if (d > radius || d < 1) continue;
+    const k = Math.min(1, pull * dt / d);
+    c.x += dx * k; c.y += dy * k;
+  }
+}
+
+export function handleCollisions(world){
+  const { player } = world;
+  for (const o of world.obstacles) {
+    let hit = false;
+    if (o.type==='block' || o.type==='gate') hit = rectOverlap(player, o);
+    else if (o.type==='drone') hit = circleRectOverlap({x:o.x,y:o.y,r:o.r}, player);
+    if (hit && world.grace > 0) continue;
+    if (hit && isActive(world.powers, 'shield')) {
+      world.powers.shield = 0; world.grace = SHIELD_GRACE;
+      world.events.push({ type:'shield', obstacle: o, x: player.x+player.w/2, y: player.y+player.h/2 });
+      continue;
+    }
+    if (hit) {
+      world.alive = false;
+      world.events.push({ type:'hit', obstacle: o });
+      return;
+    }
+  }
+  // Sunk below the ground line: fell in a pit. A shield bounces the player back out.
+  if (player.y > world.groundY - player.h*0.5) {
+    const pit = pitAt(world, player.x + player.w/2) || { type:'pit', x: player.x, y: world.groundY, w: player.w, h: VH - world.groundY };
+    if (isActive(world.powers, 'shield')) {
+      world.powers.shield = 0; world.grace = SHIELD_GRACE;
+      player.vy = -JUMP_VY * 1.2; player.jumpsLeft = maxJumps(world.powers) - 1;
+      world.events.push({ type:'shield', obstacle: pit, x: player.x+player.w/2, y: world.groundY });
+    } else {
+      world.alive = false;
+      world.events.push({ type:'hit', obstacle: pit });
+      return;
+    }
+  }
+  for (const u of world.pickups) {
+    if (circleRectOverlap(u, player)) {
+      grantPowerup(world.powers, u.kind);
+      world.events.push({ type:'powerup', kind: u.kind, x: u.x, y: u.y });
+      u.x = -9999;
+    }
+  }
+  for (const c of world.coins) {
+    if (circleRectOverlap(c, player)) {
+      world.score += c.worth; world.collected += c.worth;
+      world.events.push({ type:'coin', x: c.x, y: c.y, worth: c.worth });
+      c.x = -9999;
+    }
+  }
+}
+
+// ---------- Utils ----------
+export function clamp(v,a,b){ return Math.max(a, Math.min(b, v)); }
+export function rectOverlap(a,b){ return a.x < b.x + (b.w||0) && a.x + a.w > b.x && a.y < b.y + (b.h||0) && a.y + a.h > b.y; }
+export function circleRectOverlap(c,r){ const cx=clamp(c.x,r.x,r.x+r.w), cy=clamp(c.y,r.y,r.y+r.h); const dx=c.x-cx, dy=c.y-cy; return dx*dx+dy*dy<=c.r*c.r; }
@@ -1,24 +1,81 @@
-const CACHE = 'emotion-escape-v1';
+// sw.js
+// Offline support: precaches the game and everything Mood AI needs (modules,
+// vendored tasks-vision runtime + WASM, face model) under a versioned cache.
+// Bump VERSION whenever a precached file changes; the page then offers to update.
+const VERSION = 'v13';
+const CACHE = `emotion-escape-${VERSION}`;
 const ASSETS = [
   './',
   './index.html',
   './styles.css',
+  './manifest.webmanifest',
+  './icons/icon-192.png',
+  './icons/icon-512.png',
+  './src/audio-settings.js',
+  './src/audio.js',
+  './src/calibration.js',
+  './src/camera.js',
+  './src/editor.js',
+  './src/face-landmarker.js',
+  './src/face-worker.js',
+  './src/ghost.js',
+  './src/level.js',
   './src/main.js',
+  './src/mood-classify.js',
+  './src/mood-debug.js',
+  './src/mood-detector.js',
+  './src/mood-profiles.js',
+  './src/mood-strategies.js',
+  './src/mood-voice.js',
   './src/mood.js',
-  './src/mood-mediapipe.js',
-  './src/audio.js',
-  './manifest.webmanifest'
+  './src/music.js',
+  './src/powerups.js',
+  './src/pwa.js',
+  './src/render.js',
+  './src/replay.js',
+  './src/rng.js',
+  './src/session-store.js',
+  './src/session.js',
+  './src/stage-progress.js',
+  './src/voice-classify.js',
+  './src/world.js',
+  './levels/index.json',
+  './levels/first-steps.json',
+  './levels/duck-and-dash.json',
+  './levels/mood-swings.json',
+  './models/face_landmarker.task',
+  './vendor/tasks-vision/vision_bundle.mjs',
+  './vendor/tasks-vision/wasm/vision_wasm_internal.js',
+  './vendor/tasks-vision/wasm/vision_wasm_internal.wasm',
+  // The no-SIMD runtime is only for old browsers; it's cached on first use.
 ];
 
+// No skipWaiting here: a new version waits until the page accepts the update.
 self.addEventListener('install', (e) => {
   e.waitUntil(caches.open(CACHE).then(c => c.addAll(ASSETS)));
 });
+
+self.addEventListener('activate', (e) => {
+  e.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith('emotion-escape-') && k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (e) => {
+  if (e.data && e.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Same-origin GETs: cache first, then network (kept for next time).
+// Anything else (e.g. the hosted model fallback) goes straight to the network.
 self.addEventListener('fetch', (e) => {
+  const req = e.request;
+  if (req.method !== 'GET' || new URL(req.url).origin !== self.location.origin) return;
   e.respondWith(
-    caches.match(e.request).then(r => r || fetch(e.request).then(resp => {
-      const copy = resp.clone();
-      caches.open(CACHE).then(c => c.put(e.request, copy));
+    caches.open(CACHE).then(cache => cache.match(req, { ignoreSearch: true }).then(hit => hit || fetch(req).then(resp => {
+      if (resp.ok) cache.put(req, resp.clone());
       return resp;
-    }).catch(() => caches.match('./index.html')))
+    }).catch(() => req.mode === 'navigate' ? cache.match('./index.html') : Response.error())))
   );
 });
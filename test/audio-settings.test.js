@@ -0,0 +1,34 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadAudioSettings, saveAudioSettings, AUDIO_DEFAULTS } from '../src/audio-settings.js';
+
+let store;
+beforeEach(() => {
+  store = {};
+  globalThis.localStorage = { getItem: k => store[k] ?? null, setItem: (k, v) => { store[k] = String(v); } };
+});
+
+test('defaults until something is saved', () => {
+  assert.deepEqual(loadAudioSettings(), AUDIO_DEFAULTS);
+  assert.equal(loadAudioSettings().enabled, false);
+});
+
+test('saving merges into what is stored and survives a reload', () => {
+  saveAudioSettings({ enabled: true });
+  saveAudioSettings({ musicVol: 0.25 });
+  const s = loadAudioSettings();
+  assert.equal(s.enabled, true);
+  assert.equal(s.musicVol, 0.25);
+  assert.equal(s.master, AUDIO_DEFAULTS.master);
+});
+
+test('bad stored values fall back or are clamped', () => {
+  store.ee_audio = JSON.stringify({ enabled: 'yes', master: 3, sfx: -1, ambience: 'loud' });
+  const s = loadAudioSettings();
+  assert.equal(s.enabled, false);
+  assert.equal(s.master, 1);
+  assert.equal(s.sfx, 0);
+  assert.equal(s.ambience, AUDIO_DEFAULTS.ambience);
+  store.ee_audio = '{not json';
+  assert.deepEqual(loadAudioSettings(), AUDIO_DEFAULTS);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SFX_PRESETS, panForX, playSfx } from '../src/audio.js';
+import { VW } from '../src/world.js';
+
+test('every game event has a preset with a sound source and an envelope', () => {
+  for (const name of ['jump', 'doubleJump', 'land', 'coin', 'bigCoin', 'dronePass', 'milestone', 'hit']) {
+    const p = SFX_PRESETS[name];
+    assert.ok(p, name);
+    assert.ok(p.wave || p.noise, `${name} makes a sound`);
+    assert.ok(p.decay > 0 && p.vol > 0 && p.vol <= 1, name);
+    if (p.notes) assert.ok(p.gap > 0, `${name} arpeggio needs a gap`);
+  }
+  assert.notDeepEqual(SFX_PRESETS.jump, SFX_PRESETS.doubleJump);
+  assert.ok(SFX_PRESETS.bigCoin.notes.length > SFX_PRESETS.coin.notes.length);
+});
+
+test('panning follows the x position across the screen', () => {
+  assert.equal(panForX(0), -0.8);
+  assert.equal(panForX(VW), 0.8);
+  assert.ok(Math.abs(panForX(VW / 2)) < 1e-9);
+  assert.equal(panForX(-500), -0.8);
+  assert.equal(panForX(undefined), 0);
+});
+
+test('playSfx is silent until audio is enabled', () => {
+  assert.doesNotThrow(() => playSfx('jump', { x: 100 }));
+  assert.doesNotThrow(() => playSfx('no-such-sound'));
+});
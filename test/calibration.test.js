@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runCalibration, CALIBRATION_STEPS } from '../src/calibration.js';
+
+// Fake detector: emits the current step's features every few ms.
+function fakeDetector(features) {
+  const listeners = new Set();
+  let current = null;
+  const timer = setInterval(() => { for (const fn of listeners) fn({ raw: current && features[current] }); }, 2);
+  return {
+    onSample(fn) { listeners.add(fn); return () => listeners.delete(fn); },
+    onStep(step) { current = step.key; },
+    stop() { clearInterval(timer); },
+  };
+}
+
+test('runCalibration walks neutral → smile → frown and derives thresholds', async () => {
+  const d = fakeDetector({
+    neutral: { smile: 0.05, brow: 0.02, jaw: 0.01 },
+    smile: { smile: 0.45, brow: 0.03, jaw: 0.02 },
+    frown: { smile: 0.05, brow: 0.32, jaw: 0.01 },
+  });
+  const seen = [];
+  try {
+    const p = await runCalibration({
+      onSample: d.onSample,
+      onStep: (step, phase) => { seen.push(`${step.key}:${phase}`); d.onStep(step); },
+      readyMs: 5, captureMs: 40,
+    });
+    assert.deepEqual(seen, CALIBRATION_STEPS.flatMap(s => [`${s.key}:ready`, `${s.key}:capture`]));
+    assert.ok(Math.abs(p.neutral.smile - 0.05) < 1e-9);
+    assert.ok(Math.abs(p.thresholds.happyEnter - 0.2) < 1e-9);
+    assert.ok(Math.abs(p.thresholds.stressEnter - 0.15) < 1e-9);
+  } finally { d.stop(); }
+});
+
+test('runCalibration fails when the face is lost', async () => {
+  const d = fakeDetector({ neutral: { smile: 0.05, brow: 0.02, jaw: 0 } });
+  try {
+    await assert.rejects(
+      runCalibration({ onSample: d.onSample, onStep: d.onStep, readyMs: 5, captureMs: 40 }),
+      /during the smile step/
+    );
+  } finally { d.stop(); }
+});
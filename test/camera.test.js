@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startCamera, stopCamera, listCameras, cameraErrorCode, isCameraOn } from '../src/camera.js';
+
+// Minimal MediaStream / mediaDevices stand-ins
+function fakeDevices({ fail = null, devices = [] } = {}) {
+  const calls = [];
+  const tracks = [];
+  const mediaDevices = {
+    async getUserMedia(c) {
+      calls.push(c);
+      const f = typeof fail === 'function' ? fail(c) : fail;
+      if (f) throw Object.assign(new Error(f), { name: f });
+      const track = { stopped: false, stop() { this.stopped = true; }, addEventListener() {}, getSettings: () => ({ deviceId: 'cam-a' }) };
+      tracks.push(track);
+      return { getTracks: () => [track], getVideoTracks: () => [track] };
+    },
+    async enumerateDevices() { return devices; },
+  };
+  Object.defineProperty(globalThis, 'navigator', { value: { mediaDevices }, configurable: true });
+  return { calls, tracks };
+}
+const video = () => ({ srcObject: null, async play() {} });
+
+test('startCamera opens the stream and stopCamera releases every track', async () => {
+  const { tracks } = fakeDevices();
+  const v = video();
+  assert.equal(await startCamera(v), 'cam-a');
+  assert.ok(v.srcObject && isCameraOn());
+  stopCamera(v);
+  assert.equal(v.srcObject, null);
+  assert.equal(isCameraOn(), false);
+  assert.ok(tracks.every(t => t.stopped));
+});
+
+test('startCamera falls back to any camera when the saved one is gone', async () => {
+  const { calls } = fakeDevices({ fail: (c) => c.video.deviceId ? 'OverconstrainedError' : null });
+  const v = video();
+  await startCamera(v, { deviceId: 'unplugged' });
+  assert.equal(calls.length, 2);
+  assert.equal(calls[1].video.facingMode, 'user');
+  stopCamera(v);
+});
+
+test('camera failures carry a code and a readable message', async () => {
+  for (const [name, code] of [['NotAllowedError', 'denied'], ['NotFoundError', 'none'], ['NotReadableError', 'in-use']]) {
+    fakeDevices({ fail: name });
+    await assert.rejects(startCamera(video()), (err) => err.code === code && err.message.length > 10);
+  }
+  assert.equal(cameraErrorCode({ name: 'Weird' }), 'error');
+});
+
+test('listCameras keeps video inputs and names unlabeled ones', async () => {
+  fakeDevices({ devices: [
+    { kind: 'audioinput', deviceId: 'mic', label: 'Mic' },
+    { kind: 'videoinput', deviceId: 'a', label: '' },
+    { kind: 'videoinput', deviceId: 'b', label: 'USB Cam' },
+  ] });
+  assert.deepEqual(await listCameras(), [{ deviceId: 'a', label: 'Camera 1' }, { deviceId: 'b', label: 'USB Cam' }]);
+});
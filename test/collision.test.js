@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rectOverlap, circleRectOverlap, createWorld, handleCollisions } from '../src/world.js';
+import { grantPowerup } from '../src/powerups.js';
+
+const box = { x: 100, y: 100, w: 40, h: 50 };
+
+test('rectOverlap: overlapping, touching and separate boxes', () => {
+  assert.equal(rectOverlap(box, { x: 120, y: 120, w: 10, h: 10 }), true);
+  assert.equal(rectOverlap(box, { x: 60, y: 60, w: 200, h: 200 }), true);
+  // Edges that only touch do not count
+  assert.equal(rectOverlap(box, { x: 140, y: 100, w: 10, h: 10 }), false);
+  assert.equal(rectOverlap(box, { x: 100, y: 150, w: 10, h: 10 }), false);
+  assert.equal(rectOverlap(box, { x: 300, y: 100, w: 10, h: 10 }), false);
+});
+
+test('circleRectOverlap: centre inside, near corner and past corner', () => {
+  assert.equal(circleRectOverlap({ x: 120, y: 120, r: 5 }, box), true);
+  assert.equal(circleRectOverlap({ x: 95, y: 125, r: 5 }, box), true);   // touches left edge
+  assert.equal(circleRectOverlap({ x: 97, y: 97, r: 5 }, box), true);    // 3√2 < 5 from corner
+  assert.equal(circleRectOverlap({ x: 96, y: 96, r: 5 }, box), false);   // 4√2 > 5 from corner
+  assert.equal(circleRectOverlap({ x: 200, y: 125, r: 20 }, box), false);
+});
+
+test('handleCollisions: a block ends the run and reports the obstacle', () => {
+  const w = createWorld({ seed: 1 });
+  const block = { type: 'block', x: w.player.x + 10, y: w.player.y, w: 30, h: 30 };
+  w.obstacles.push(block);
+  handleCollisions(w);
+  assert.equal(w.alive, false);
+  assert.deepEqual(w.events.map(e => e.type), ['hit']);
+  assert.equal(w.events[0].obstacle, block);
+});
+
+test('handleCollisions: drones use the circle test', () => {
+  const w = createWorld({ seed: 1 });
+  const { player } = w;
+  w.obstacles.push({ type: 'drone', x: player.x - 30, y: player.y - 30, r: 20 });
+  handleCollisions(w);
+  assert.equal(w.alive, true);
+  w.obstacles.push({ type: 'drone', x: player.x - 10, y: player.y + 10, r: 20 });
+  handleCollisions(w);
+  assert.equal(w.alive, false);
+});
+
+test('handleCollisions: coins add their worth once', () => {
+  const w = createWorld({ seed: 1 });
+  const { player } = w;
+  w.coins.push({ x: player.x + 5, y: player.y + 5, r: 9, worth: 5 });
+  handleCollisions(w);
+  handleCollisions(w);
+  assert.equal(w.score, 5);
+  assert.deepEqual(w.events.filter(e => e.type === 'coin').length, 1);
+  assert.equal(w.alive, true);
+});
+
+test('handleCollisions: sinking into a pit ends the run; a shield bounces the player out', () => {
+  const w = createWorld({ seed: 1 });
+  const { player } = w;
+  const pit = { type: 'pit', x: player.x - 20, y: w.groundY, w: 100, h: 96 };
+  w.obstacles.push(pit, { type: 'platform', x: 0, y: 300, w: 2000, h: 16 });
+  handleCollisions(w);
+  assert.equal(w.alive, true, 'platforms and pits are not lethal to touch');
+  player.y = w.groundY - 10;
+  grantPowerup(w.powers, 'shield');
+  handleCollisions(w);
+  assert.equal(w.alive, true);
+  assert.ok(player.vy < 0);
+  assert.deepEqual(w.events.map(e => e.type), ['shield']);
+  handleCollisions(w);
+  assert.equal(w.alive, false);
+  assert.equal(w.events.at(-1).obstacle, pit);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createEditor, pointerDown, pointerMove, pointerUp, undo, redo, deleteSelected, setTool, hitTest,
+  toScreenX, toScreenY, timelineX, togglePreview, tickEditor, exportLevel, importLevel, renameLevel, TIMELINE
+} from '../src/editor.js';
+import { parseLevel, ARC_STEP } from '../src/level.js';
+
+// Pointer gestures in course space
+const at = (ed, x, alt) => [toScreenX(ed, x), toScreenY(alt)];
+const click = (ed, x, alt) => { pointerDown(ed, ...at(ed, x, alt)); pointerUp(ed); };
+const drag = (ed, [x0, a0], [x1, a1]) => { pointerDown(ed, ...at(ed, x0, a0)); pointerMove(ed, ...at(ed, x1, a1)); pointerUp(ed); };
+
+test('placing snaps to the grid, selects the new item, and is one undo step with its drag', () => {
+  const ed = createEditor();
+  setTool(ed, 'gate');
+  pointerDown(ed, ...at(ed, 407, 151));
+  assert.deepEqual(ed.level.obstacles[0], { type: 'gate', w: 160, alt: 160, h: 12, curtain: false, at: 400 });
+  pointerMove(ed, ...at(ed, 447, 191)); pointerUp(ed);
+  assert.equal(ed.level.obstacles[0].at, 440);
+  assert.equal(ed.level.obstacles[0].alt, 200);
+  assert.deepEqual(ed.sel, { group: 'obstacles', index: 0 });
+  assert.equal(ed.undo.length, 1);
+  undo(ed);
+  assert.equal(ed.level.obstacles.length, 0);
+  redo(ed);
+  assert.equal(ed.level.obstacles[0].at, 440);
+});
+
+test('dragging moves an item (blocks stay on the ground); a drag that changes nothing is not an undo step', () => {
+  const ed = createEditor();
+  setTool(ed, 'block'); click(ed, 600, 0);
+  setTool(ed, 'select');
+  drag(ed, [610, 40], [733, 140]);
+  const b = ed.level.obstacles[0];
+  assert.equal(b.at, 720);
+  assert.equal('alt' in b, false);
+  assert.equal(ed.undo.length, 2);
+  click(ed, 730, 40);
+  assert.equal(ed.undo.length, 2, 'a plain click selects without an undo step');
+  ed.snap = false;
+  drag(ed, [730, 40], [733, 40]);
+  assert.equal(b.at, 723, 'snap off: 1 px steps');
+});
+
+test('the corner handle resizes blocks, drones and coin arcs', () => {
+  const ed = createEditor();
+  setTool(ed, 'block'); click(ed, 200, 0);   // 60 × 80 at 200
+  setTool(ed, 'select');
+  assert.equal(hitTest(ed, 260, 80).mode, 'resize');
+  drag(ed, [260, 80], [300, 120]);
+  assert.deepEqual([ed.level.obstacles[0].w, ed.level.obstacles[0].h], [100, 120]);
+
+  setTool(ed, 'drone'); click(ed, 800, 140);
+  setTool(ed, 'select');
+  drag(ed, [824, 164], [836, 164]);
+  assert.equal(ed.level.obstacles[1].r, 36);
+
+  setTool(ed, 'coins'); click(ed, 1200, 40);
+  setTool(ed, 'select');
+  const arc = ed.level.coins[0];
+  const end = 1200 + (arc.arc - 1) * ARC_STEP;
+  drag(ed, [end + 9, 40 + 46 + 9], [end + 9 + ARC_STEP * 2, 95]);
+  assert.equal(arc.arc, 7);
+  deleteSelected(ed);
+  assert.equal(ed.level.coins.length, 0);
+});
+
+test('empty ground sets the playtest cursor; the flag moves the finish; the timeline scrolls', () => {
+  const ed = createEditor();
+  click(ed, 513, 30);
+  assert.equal(ed.cursor, 520);
+  assert.equal(ed.sel, null);
+  drag(ed, [3010, 100], [4000, 100]);
+  assert.equal(ed.level.length, 4000, 'snapped');
+  drag(ed, [4010, 100], [0, 100]);
+  assert.equal(ed.level.length, 400, 'never shorter than the minimum');
+  pointerDown(ed, TIMELINE.x + TIMELINE.w, TIMELINE.y + 5); pointerUp(ed);
+  assert.ok(ed.scroll > 0);
+  assert.ok(Math.abs(timelineX(ed, 0) - TIMELINE.x) < 1e-9);
+});
+
+test('export → import round-trips; a bad file leaves the level alone', () => {
+  const ed = createEditor();
+  setTool(ed, 'block'); click(ed, 300, 0);
+  setTool(ed, 'coins'); click(ed, 600, 60);
+  renameLevel(ed, '  Spiky Road!  ');
+  assert.equal(ed.level.id, 'spiky-road');
+  const text = exportLevel(ed);
+  assert.deepEqual(parseLevel(text), parseLevel(ed.level));
+
+  const other = createEditor();
+  assert.throws(() => importLevel(other, '{"v":1}'), /id/);
+  assert.equal(other.undo.length, 0);
+  importLevel(other, text);
+  assert.equal(other.level.name, 'Spiky Road!');
+  assert.equal(other.level.obstacles.length, 1);
+  undo(other);
+  assert.equal(other.level.obstacles.length, 0, 'import is undoable');
+});
+
+test('preview scrolls at the given speed and stops at the finish', () => {
+  const ed = createEditor();
+  togglePreview(ed);
+  tickEditor(ed, 0.5, 400);
+  assert.equal(ed.scroll, 200);
+  for (let i = 0; i < 100; i++) tickEditor(ed, 0.5, 400);
+  assert.equal(ed.scroll, ed.level.length);
+  assert.equal(ed.previewing, false);
+});
@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { toWorkerResult, fromWorkerResult, workerSupported, createInferenceEngine } from '../src/face-landmarker.js';
+import { createMoodDetector } from '../src/mood-detector.js';
+
+const blend = JSON.parse(readFileSync(new URL('./fixtures/blendshapes.json', import.meta.url)));
+
+test('worker results carry only scores and rebuild into the landmarker shape', () => {
+  const lms = [{ x: 0.1, y: 0.2, z: 0, visibility: 0 }, { x: 0.3, y: 0.4, z: 0.01, visibility: 0 }];
+  const res = { faceBlendshapes: [{ categories: blend.smile[0] }], faceLandmarks: [lms] };
+
+  const slim = toWorkerResult(res);
+  assert.equal(slim.landmarks, null);
+  assert.equal(slim.scores.mouthSmileLeft, 0.412);
+
+  const back = fromWorkerResult({ faces: 1, ...toWorkerResult(res, { landmarks: true }), inferMs: 12 }, 20);
+  assert.deepEqual(back.faceBlendshapes[0].categories, blend.smile[0].map(({ categoryName, score }) => ({ categoryName, score })));
+  assert.deepEqual(back.faceLandmarks[0], [{ x: 0.1, y: 0.2, z: 0 }, { x: 0.3, y: 0.4, z: 0.01 }]);
+  assert.equal(back.roundTripMs, 20);
+
+  const none = fromWorkerResult({ faces: 0, ...toWorkerResult({ faceBlendshapes: [], faceLandmarks: [] }) });
+  assert.deepEqual([none.faceBlendshapes, none.faceLandmarks], [[], []]);
+});
+
+test('no worker support under node', () => {
+  assert.equal(workerSupported(), false);
+});
+
+test('detector keeps one frame in flight and reports smoothed latency', async () => {
+  let frames = [];
+  globalThis.requestAnimationFrame = (f) => { frames.push(f); return frames.length; };
+  globalThis.cancelAnimationFrame = () => {};
+  const pending = [];
+  const engine = {
+    mode: 'worker', vision: null,
+    detect: (video, ts, opts) => new Promise((done) => pending.push({ done, ts, opts })),
+  };
+  const d = createMoodDetector({ createEngine: async () => engine, onMood() {}, onTracking() {}, sampleMs: 100 });
+  const samples = [];
+  d.onSample((s) => samples.push(s));
+  assert.equal(await d.start({ readyState: 4 }), true);
+  assert.equal(d.mode, 'worker');
+
+  const tick = (ts) => { const q = frames; frames = []; q.forEach(f => f(ts)); };
+  tick(0); tick(150); tick(300);
+  assert.equal(pending.length, 1, 'no new frame while one is in flight');
+  assert.equal(pending[0].opts.landmarks, false);
+
+  const result = (inferMs) => ({ faces: 1, faceBlendshapes: [{ categories: blend.neutral[0] }], faceLandmarks: [], inferMs, roundTripMs: inferMs + 5 });
+  pending.shift().done(result(10));
+  await new Promise(r => setTimeout(r, 0));
+  tick(450);
+  assert.equal(pending.length, 1);
+  pending.shift().done(result(20));
+  await new Promise(r => setTimeout(r, 0));
+
+  assert.equal(samples.length, 2);
+  assert.equal(samples[0].latency.inferMs, 10);
+  assert.ok(Math.abs(d.latency.inferMs - 12) < 1e-9);
+  assert.ok(Math.abs(d.latency.roundTripMs - 17) < 1e-9);
+
+  d.setStrategy('landmarks');
+  tick(600);
+  assert.equal(pending[0].opts.landmarks, true);
+  d.stop();
+  pending.shift().done(result(5));
+  await new Promise(r => setTimeout(r, 0));
+  assert.equal(samples.length, 2, 'results after stop are dropped');
+});
+
+test('a worker that crashes after ready settles the frame in flight and marks the engine dead', async () => {
+  let worker = null;
+  globalThis.Worker = class {
+    constructor() { worker = this; this.sent = []; this.terminated = false; }
+    postMessage(msg) {
+      this.sent.push(msg.type);
+      if (msg.type === 'init') setTimeout(() => this.onmessage({ data: { type: 'ready' } }), 0);
+    }
+    terminate() { this.terminated = true; }
+  };
+  globalThis.createImageBitmap = async () => ({ close() {} });
+  globalThis.OffscreenCanvas = class {};
+  const { error } = console;
+  console.error = () => {};
+  try {
+    const engine = await createInferenceEngine();
+    assert.equal(engine.mode, 'worker');
+    const frame = engine.detect({}, 0);
+    await new Promise(r => setTimeout(r, 0));
+    assert.deepEqual(worker.sent, ['init', 'frame']);
+    worker.onerror({ message: 'RuntimeError: Aborted()', preventDefault() {} });
+    assert.equal(await frame, null);
+    assert.equal(engine.dead, true);
+    assert.equal(worker.terminated, true);
+    assert.equal(await engine.detect({}, 1), null, 'no more frames go to a dead worker');
+  } finally {
+    console.error = error;
+    delete globalThis.Worker; delete globalThis.createImageBitmap; delete globalThis.OffscreenCanvas;
+  }
+});
+
+test('the detector swaps a dead worker engine for a main-thread one and keeps going', async () => {
+  let frames = [];
+  globalThis.requestAnimationFrame = (f) => { frames.push(f); return frames.length; };
+  globalThis.cancelAnimationFrame = () => {};
+  const tick = (ts) => { const q = frames; frames = []; q.forEach(f => f(ts)); };
+  const flush = () => new Promise(r => setTimeout(r, 0));
+  const made = [];
+  const worker = { mode: 'worker', vision: null, dead: false, detect: async () => { worker.dead = true; return null; } };
+  const main = { mode: 'main', vision: null, detect: async () => ({ faces: 1, faceBlendshapes: [{ categories: blend.neutral[0] }], faceLandmarks: [], inferMs: 4 }) };
+  const createEngine = async (opts) => { made.push(opts.worker); return opts.worker ? worker : main; };
+  const d = createMoodDetector({ createEngine, onMood() {}, onTracking() {}, sampleMs: 100 });
+  const samples = [];
+  d.onSample((s) => samples.push(s));
+  const { warn } = console;
+  console.warn = () => {};
+  try {
+    await d.start({ readyState: 4 });
+    tick(0); await flush();
+    assert.deepEqual(made, [true, false]);
+    assert.equal(d.mode, 'main');
+    tick(150); await flush();
+    assert.equal(samples.length, 1);
+    d.stop();
+    await d.start({ readyState: 4 });
+    assert.deepEqual(made, [true, false], 'restarting keeps the live main-thread engine');
+  } finally {
+    console.warn = warn;
+    d.stop();
+  }
+});
@@ -0,0 +1,47 @@
+// Speech-like test clips. *.wav is gitignored, so the voice tests build their
+// WAVs here: voiced "syllables" (a few harmonics under a sin² envelope) with a
+// given loudness, pitch spread and rate.
+import { createRng } from '../../src/rng.js';
+
+export const SAMPLE_RATE = 16000;
+
+export const CALM = { amp: 0.08, f0: 130, spread: 0.5, rate: 3 };      // spread in semitones
+export const EXCITED = { amp: 0.35, f0: 200, spread: 4, rate: 6 };
+
+export function speech(seconds, { amp, f0, spread, rate }, seed = 1) {
+  const rng = createRng(seed);
+  const out = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+  const sylLen = Math.round(SAMPLE_RATE / rate);
+  let phase = 0, f = f0;
+  for (let i = 0; i < out.length; i++) {
+    const k = i % sylLen;
+    if (k === 0) f = f0 * 2 ** (rng.range(-spread, spread) / 12);
+    phase += 2 * Math.PI * f / SAMPLE_RATE;
+    const env = k < sylLen * 0.6 ? Math.sin(Math.PI * k / (sylLen * 0.6)) ** 2 : 0;
+    out[i] = amp * env * (0.6 * Math.sin(phase) + 0.3 * Math.sin(2 * phase) + 0.1 * Math.sin(3 * phase));
+  }
+  return out;
+}
+
+export const silence = (seconds) => new Float32Array(Math.round(seconds * SAMPLE_RATE));
+
+export function concat(...parts) {
+  const out = new Float32Array(parts.reduce((n, p) => n + p.length, 0));
+  let o = 0;
+  for (const p of parts) { out.set(p, o); o += p.length; }
+  return out;
+}
+
+// 16-bit mono PCM WAV bytes
+export function encodeWav(samples, sampleRate = SAMPLE_RATE) {
+  const buf = new ArrayBuffer(44 + samples.length * 2);
+  const v = new DataView(buf);
+  const str = (o, s) => { for (let i = 0; i < s.length; i++) v.setUint8(o + i, s.charCodeAt(i)); };
+  str(0, 'RIFF'); v.setUint32(4, 36 + samples.length * 2, true); str(8, 'WAVE');
+  str(12, 'fmt '); v.setUint32(16, 16, true); v.setUint16(20, 1, true); v.setUint16(22, 1, true);
+  v.setUint32(24, sampleRate, true); v.setUint32(28, sampleRate * 2, true);
+  v.setUint16(32, 2, true); v.setUint16(34, 16, true);
+  str(36, 'data'); v.setUint32(40, samples.length * 2, true);
+  samples.forEach((s, i) => v.setInt16(44 + i * 2, Math.max(-1, Math.min(1, s)) * 32767, true));
+  return buf;
+}
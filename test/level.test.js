@@ -0,0 +1,178 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  parseLevel, serializeLevel, levelMoodAt, levelEntries, starsFor, totalCoinValue, moodLocked, fetchStages
+} from '../src/level.js';
+import { loadProgress, recordResult } from '../src/stage-progress.js';
+import { createWorld, moodParams, START_X, finishX } from '../src/world.js';
+
+const DT = 1/60;
+const base = {
+  v: 1, id: 'test', length: 2000,
+  obstacles: [
+    { type: 'block', at: 800, w: 50, h: 60 },
+    { type: 'gate', at: 400, w: 100, alt: 150 },
+    { type: 'drone', at: 1200, alt: 200 },
+  ],
+  coins: [{ at: 300, alt: 20 }, { at: 500, alt: 120, arc: 5, worth: 5 }],
+  powerups: [{ at: 600, alt: 60, kind: 'magnet' }],
+};
+const levelDir = new URL('../levels/', import.meta.url);
+
+test('parseLevel fills defaults and rejects malformed entries with a reason', () => {
+  const l = parseLevel(JSON.stringify(base));
+  assert.equal(l.name, 'test');
+  assert.deepEqual(l.obstacles[1], { type: 'gate', at: 400, w: 100, alt: 150, h: 12, curtain: false });
+  assert.deepEqual(l.obstacles[2], { type: 'drone', at: 1200, alt: 200, r: 24, bob: 0 });
+  assert.equal(l.coins[0].worth, 1);
+  assert.equal(moodLocked(l), false);
+  assert.throws(() => parseLevel({ ...base, v: 9 }), /version/);
+  assert.throws(() => parseLevel({ ...base, length: 0 }), /length/);
+  assert.throws(() => parseLevel({ ...base, mood: 'angry' }), /mood/);
+  assert.throws(() => parseLevel({ ...base, obstacles: [{ type: 'lava', at: 1 }] }), /obstacle 0 .*unknown type/);
+  assert.throws(() => parseLevel({ ...base, obstacles: [{ type: 'block', at: 1, w: 40 }] }), /obstacle 0 \(block\) is missing "h"/);
+  assert.throws(() => parseLevel({ ...base, powerups: [{ at: 1, alt: 1, kind: 'laser' }] }), /power-up 0/);
+  const one = (o) => parseLevel({ ...base, obstacles: [o] });
+  assert.throws(() => one({ type: 'gate', at: 1, w: 90, alt: 120, h: '12' }), /obstacle 0 \(gate\) has "h" that isn't a number/);
+  assert.throws(() => one({ type: 'gate', at: 1, w: 90, alt: 120, curtain: 'yes' }), /obstacle 0 \(gate\) has "curtain" that isn't true or false/);
+  assert.throws(() => one({ type: 'drone', at: 1, alt: 120, bob: NaN }), /obstacle 0 \(drone\) has "bob"/);
+  assert.throws(() => one({ type: 'drone', at: 1, alt: 120, r: 500 }), /obstacle 0 \(drone\) has "r" outside 0–60/);
+  assert.throws(() => one({ type: 'pit', at: 1, w: 1e9 }), /obstacle 0 \(pit\) has "w" outside/);
+  assert.throws(() => one({ type: 'block', at: 1, w: 40, h: -5 }), /obstacle 0 \(block\) has "h" outside/);
+  assert.throws(() => parseLevel({ ...base, coins: [{ at: 1, alt: 1, arc: 1e6 }] }), /coin 0 has an arc longer than 40/);
+  assert.equal(one({ type: 'gate', at: 1, w: 90, alt: 120, curtain: true, h: null }).obstacles[0].h, 12, 'null means the default');
+  const coin = (c) => parseLevel({ ...base, coins: [{ at: 1, alt: 20, ...c }] });
+  assert.throws(() => coin({ worth: -5 }), /coin 0 has "worth" that isn't a whole number from 1 to 100/);
+  assert.throws(() => coin({ worth: 0.5 }), /coin 0 has "worth"/);
+  assert.throws(() => coin({ worth: 1e9 }), /coin 0 has "worth"/);
+  assert.throws(() => coin({ alt: -300 }), /coin 0 has "alt" outside 0–400/);
+  assert.throws(() => parseLevel({ ...base, powerups: [{ at: 1, alt: 5000, kind: 'magnet' }] }), /power-up 0 has "alt" outside/);
+  assert.throws(() => one({ type: 'platform', at: 1, w: 90, alt: -40 }), /obstacle 0 \(platform\) has "alt" outside/);
+  assert.equal(coin({ worth: 100 }).coins[0].worth, 100);
+  assert.deepEqual(parseLevel(serializeLevel(l)), l, 'round-trips through the file form');
+});
+
+test('mood lock and mood zones', () => {
+  const locked = parseLevel({ ...base, mood: 'happy' });
+  assert.equal(levelMoodAt(locked, 0), 'happy');
+  assert.equal(levelMoodAt(parseLevel(base), 500), null, 'the player decides');
+  const zoned = parseLevel({ ...base, zones: [{ at: 1000, mood: 'stressed' }, { at: 0, mood: 'calm' }] });
+  assert.equal(moodLocked(zoned), true);
+  assert.deepEqual([0, 999, 1000, 1900].map(d => levelMoodAt(zoned, d)), ['calm', 'calm', 'stressed', 'stressed']);
+});
+
+test('entries come out in course order, with coin arcs expanded', () => {
+  const e = levelEntries(parseLevel(base));
+  assert.deepEqual(e.map(x => x.at), [...e.map(x => x.at)].sort((a, b) => a - b));
+  assert.equal(e.filter(x => x.group === 'coins').length, 6);
+  assert.equal(totalCoinValue(parseLevel(base)), 26);
+});
+
+test('the world places level entries when the course reaches them, not spawnLogic', () => {
+  const level = parseLevel(base);
+  const w = createWorld({ seed: 5, level });
+  w.player.y -= 400; w.gravity = 0; // keep the runner out of the way
+  let block = null;
+  for (let i = 0; i < 60 && !block; i++) {
+    w.step(DT, {}); w.player.vy = 0;
+    block = w.obstacles.find(o => o.type === 'block');
+  }
+  assert.ok(block, 'the block is placed once it is close');
+  assert.ok(Math.abs(block.x - (START_X + 800 - w.distance)) < 1e-6);
+  assert.equal(block.y, w.groundY - 60);
+  const gate = w.obstacles.find(o => o.type === 'gate');
+  assert.equal(gate.y + gate.h, w.groundY - 150);
+  assert.equal(w.obstacles.length, 2, 'the drone is still too far ahead');
+  assert.equal(w.speedRamp, 0, 'no difficulty ramp on a stage');
+  assert.equal(w.pickups[0].kind, 'magnet');
+});
+
+test('reaching the finish line ends the run as finished; zones set the mood', () => {
+  const level = parseLevel({ v: 1, id: 'flat', length: 900, zones: [{ at: 0, mood: 'happy' }, { at: 400, mood: 'stressed' }] });
+  const w = createWorld({ seed: 1, mood: 'calm', level });
+  assert.equal(w.mood, 'happy');
+  assert.equal(w.speed, moodParams('happy').speedBase);
+  const events = [];
+  for (let i = 0; i < 60 * 10 && w.alive; i++) events.push(...w.step(DT, {}));
+  assert.equal(w.finished, true);
+  assert.deepEqual(events.filter(e => e.type === 'mood').map(e => e.mood), ['stressed']);
+  const fin = events.find(e => e.type === 'finish');
+  assert.ok(fin && Math.abs(w.distance - 900) < 10, `finished at ${w.distance}`);
+  assert.ok(finishX(w) <= w.player.x);
+});
+
+test('star ratings: finish, coin target (default 80%), time target', () => {
+  const l = parseLevel({ ...base, stars: { time: 10 } });
+  assert.equal(starsFor(l, { finished: false, time: 5, coins: 99 }), 0);
+  assert.equal(starsFor(l, { finished: true, time: 12, coins: 0 }), 1);
+  assert.equal(starsFor(l, { finished: true, time: 12, coins: 21 }), 2);   // ceil(26 * 0.8)
+  assert.equal(starsFor(l, { finished: true, time: 9, coins: 21 }), 3);
+  assert.equal(starsFor(parseLevel(base), { finished: true, time: 1, coins: 26 }), 2, 'no time target');
+});
+
+let store;
+beforeEach(() => {
+  store = {};
+  globalThis.localStorage = { getItem: k => store[k] ?? null, setItem: (k, v) => { store[k] = String(v); }, removeItem: k => { delete store[k]; } };
+});
+
+test('stage progress keeps the best time and the most stars', () => {
+  assert.deepEqual(loadProgress(), {});
+  assert.equal(recordResult('a', { finished: true, time: 20, stars: 2 }).newBest, true);
+  const r = recordResult('a', { finished: true, time: 22, stars: 3 });
+  assert.deepEqual(r, { stars: 3, best: 20, newBest: false });
+  recordResult('a', { finished: false, time: 3, stars: 0 });
+  assert.deepEqual(loadProgress().a, { stars: 3, best: 20 });
+  store.ee_stages = '{bad';
+  assert.deepEqual(loadProgress(), {});
+});
+
+test('the bundled campaign stages all load', async () => {
+  const fakeFetch = async (url) => {
+    const text = readFileSync(new URL(url.replace(/^levels\//, ''), levelDir), 'utf8');
+    return { ok: true, status: 200, json: async () => JSON.parse(text), text: async () => text };
+  };
+  const { stages, failed } = await fetchStages('levels/', fakeFetch);
+  assert.deepEqual(failed, []);
+  assert.ok(stages.length >= 3);
+  assert.equal(new Set(stages.map(s => s.id)).size, stages.length);
+  for (const s of stages) {
+    const w = createWorld({ seed: 1, level: s });
+    for (let i = 0; i < 60; i++) w.step(DT, {});
+    assert.ok(w.obstacles.length + w.coins.length > 0, s.id);
+  }
+});
+
+test('a missing or broken stage file is skipped, not the whole campaign', async () => {
+  const files = {
+    'index.json': '["a.json", "gone.json", "bad.json"]',
+    'a.json': JSON.stringify(base),
+    'bad.json': JSON.stringify({ ...base, id: 'bad', coins: [{ at: 1, alt: 1, worth: -3 }] }),
+  };
+  const fakeFetch = async (url) => {
+    const text = files[url.replace(/^levels\//, '')];
+    return { ok: text !== undefined, status: text === undefined ? 404 : 200, json: async () => JSON.parse(text), text: async () => text };
+  };
+  const { stages, failed } = await fetchStages('levels/', fakeFetch);
+  assert.deepEqual(stages.map(s => s.id), ['test']);
+  assert.deepEqual(failed.map(f => f.file), ['gone.json', 'bad.json']);
+  assert.match(failed[0].error.message, /404/);
+  assert.match(failed[1].error.message, /coin 0 has "worth"/);
+});
+
+test('a run can start part-way along a stage (editor playtests)', () => {
+  const level = parseLevel({
+    ...base, zones: [{ at: 0, mood: 'happy' }, { at: 700, mood: 'stressed' }],
+    obstacles: [...base.obstacles, { type: 'pit', at: 600, w: 300 }, { type: 'platform', at: 500, w: 100, alt: 60 }],
+  });
+  const w = createWorld({ seed: 2, level, from: 700 });
+  assert.equal(w.distance, 700);
+  assert.equal(w.mood, 'stressed');
+  w.player.y -= 400; w.gravity = 0;
+  w.step(DT, {}); w.player.vy = 0;
+  assert.deepEqual(w.obstacles.map(o => o.type).sort(), ['block', 'drone', 'pit'], 'the gate and platform are behind the start');
+  const pit = w.obstacles.find(o => o.type === 'pit');
+  assert.ok(Math.abs(pit.x - (START_X - 100)) < 20, 'the pit under the start point keeps its real offset');
+  assert.equal(w.coins.length, 0);
+});
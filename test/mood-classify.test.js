@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  analyzeBlendshapes, toMood, toMoodVector, landmarkScores, scoresToMood, moodWeights, MOOD_VECTORS,
+  DEFAULT_THRESHOLDS, createMoodGate, averageFeatures, deriveThresholds
+} from '../src/mood-classify.js';
+
+const fixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url)));
+const blend = fixture('blendshapes.json');
+const lms = fixture('landmarks.json');
+
+function baseline(frames) {
+  const v = frames.map(analyzeBlendshapes);
+  return { smile: avg(v.map(f => f.smile)), brow: avg(v.map(f => f.brow)) };
+}
+const avg = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+const neutral = baseline(blend.neutral);
+
+test('analyzeBlendshapes averages left/right smile and brow', () => {
+  const f = analyzeBlendshapes(blend.smirk[0]);
+  assert.ok(Math.abs(f.smile - 0.24) < 1e-9);
+  assert.ok(Math.abs(f.brow - 0.0305) < 1e-9);
+  assert.equal(f.jaw, 0.02);
+  // Both sides count: `L || 0 + R || 0` used to read only the left one
+  const even = analyzeBlendshapes(blend.smile[0]);
+  assert.ok(Math.abs(even.smile - (0.412 + 0.455) / 2) < 1e-9);
+  assert.deepEqual(analyzeBlendshapes([]), { smile: 0, jaw: 0, brow: 0 });
+});
+
+test('toMood: recorded neutral frames stay calm', () => {
+  for (const frame of blend.neutral) assert.equal(toMood(analyzeBlendshapes(frame), neutral), 'calm');
+});
+
+test('toMood: recorded smile frames are happy', () => {
+  for (const frame of blend.smile) assert.equal(toMood(analyzeBlendshapes(frame), neutral), 'happy');
+});
+
+test('toMood: recorded frown frames are stressed', () => {
+  for (const frame of blend.frown) assert.equal(toMood(analyzeBlendshapes(frame), neutral), 'stressed');
+});
+
+test('toMood: thresholds are relative to the neutral baseline', () => {
+  const base = { smile: 0.2, brow: 0.1 };
+  assert.equal(toMood({ smile: 0.31, brow: 0.1 }, base), 'happy');
+  assert.equal(toMood({ smile: 0.29, brow: 0.1 }, base), 'calm');
+  assert.equal(toMood({ smile: 0.2, brow: 0.19 }, base), 'stressed');
+  assert.equal(toMood({ smile: 0.2, brow: 0.17 }, base), 'calm');
+  // A smile with tense brows is neither
+  assert.equal(toMood({ smile: 0.4, brow: 0.16 }, base), 'calm');
+  // Frowning while half-smiling is not stressed
+  assert.equal(toMood({ smile: 0.27, brow: 0.3 }, base), 'calm');
+});
+
+test('landmarkScores: closed wide mouth reads as happy, open mouth does not', () => {
+  const smile = landmarkScores(lms.smile);
+  assert.ok(smile.happy > 0.55, `happy ${smile.happy}`);
+  const open = landmarkScores(lms.open);
+  assert.ok(open.happy < 0.2, `happy ${open.happy}`);
+  assert.equal(open.stress, 0);
+});
+
+test('scoresToMood (v1 updateMood): needs a high score and a margin over the other', () => {
+  assert.equal(scoresToMood(0.15, 0.15), 'calm');
+  assert.equal(scoresToMood(0.7, 0.5), 'happy');
+  assert.equal(scoresToMood(0.7, 0.6), 'calm');     // margin 0.15 not met
+  assert.equal(scoresToMood(0.5, 0.2), 'calm');     // below 0.55
+  assert.equal(scoresToMood(0.4, 0.6), 'stressed');
+  assert.equal(scoresToMood(0.55, 0.6), 'calm');    // margin 0.10 not met
+});
+
+test('moodWeights sum to 1 and favour the nearest anchor', () => {
+  const w = moodWeights({ valence: 0.7, arousal: 0.45 });
+  assert.ok(Math.abs(w.happy + w.calm + w.stressed - 1) < 1e-9);
+  assert.ok(w.happy > w.calm && w.calm > w.stressed);
+  assert.deepEqual(moodWeights(MOOD_VECTORS.stressed), { happy: 0, calm: 0, stressed: 1 });
+});
+
+test('toMoodVector: recorded frames move valence/arousal the right way', () => {
+  const n = toMoodVector(analyzeBlendshapes(blend.neutral[0]), neutral);
+  const s = toMoodVector(analyzeBlendshapes(blend.smile[2]), neutral);
+  const f = toMoodVector(analyzeBlendshapes(blend.frown[2]), neutral);
+  assert.ok(Math.abs(n.valence - 0.5) < 0.05 && n.arousal < 0.3);
+  assert.ok(s.valence > 0.8);
+  assert.ok(f.valence < 0.3 && f.arousal > 0.8);
+});
+
+test('toMood hysteresis: a held mood survives down to its exit threshold', () => {
+  const base = { smile: 0, brow: 0 };
+  assert.equal(toMood({ smile: 0.08, brow: 0 }, base), 'calm');
+  assert.equal(toMood({ smile: 0.08, brow: 0 }, base, DEFAULT_THRESHOLDS, 'happy'), 'happy');
+  assert.equal(toMood({ smile: 0.05, brow: 0 }, base, DEFAULT_THRESHOLDS, 'happy'), 'calm');
+  assert.equal(toMood({ smile: 0, brow: 0.06 }, base, DEFAULT_THRESHOLDS, 'stressed'), 'stressed');
+  assert.equal(toMood({ smile: 0, brow: 0.04 }, base, DEFAULT_THRESHOLDS, 'stressed'), 'calm');
+});
+
+test('createMoodGate: signals hovering at a threshold do not flicker', () => {
+  const gate = createMoodGate({ dwellMs: 0 });
+  const base = { smile: 0, brow: 0 };
+  const seen = [];
+  // Brow jitters between 0.07 and 0.09 around the 0.08 enter threshold
+  for (let i = 0; i < 40; i++) seen.push(gate.update({ smile: 0, brow: i % 2 ? 0.09 : 0.07 }, base, i * 120));
+  assert.deepEqual([...new Set(seen)], ['calm', 'stressed']);
+  assert.equal(seen.lastIndexOf('calm'), 0);
+});
+
+test('createMoodGate: a new mood has to wait out the dwell time', () => {
+  const gate = createMoodGate({ dwellMs: 1000 });
+  const base = { smile: 0, brow: 0 };
+  assert.equal(gate.update({ smile: 0.2, brow: 0 }, base, 0), 'happy');
+  assert.equal(gate.update({ smile: 0, brow: 0.2 }, base, 500), 'happy');
+  assert.equal(gate.update({ smile: 0, brow: 0.2 }, base, 999), 'happy');
+  assert.equal(gate.update({ smile: 0, brow: 0.2 }, base, 1000), 'stressed');
+  gate.configure({ stressExit: 0.3 });
+  assert.equal(gate.thresholds.stressExit, 0.3);
+  gate.reset();
+  assert.equal(gate.mood, 'calm');
+});
+
+test('deriveThresholds: a recorded calibration classifies its own frames', () => {
+  const cal = {
+    neutral: averageFeatures(blend.neutral.map(analyzeBlendshapes)),
+    smile: averageFeatures(blend.smile.map(analyzeBlendshapes)),
+    frown: averageFeatures(blend.frown.map(analyzeBlendshapes)),
+  };
+  const th = deriveThresholds(cal);
+  assert.ok(th.happyExit < th.happyEnter && th.stressExit < th.stressEnter);
+  assert.ok(th.happyBrowMax <= th.stressEnter && th.stressSmileMax <= th.happyEnter);
+  assert.equal(th.dwellMs, DEFAULT_THRESHOLDS.dwellMs);
+  for (const frame of blend.neutral) assert.equal(toMood(analyzeBlendshapes(frame), cal.neutral, th), 'calm');
+  for (const frame of blend.smile) assert.equal(toMood(analyzeBlendshapes(frame), cal.neutral, th), 'happy');
+  for (const frame of blend.frown) assert.equal(toMood(analyzeBlendshapes(frame), cal.neutral, th), 'stressed');
+});
+
+test('deriveThresholds: scales with how expressive the user is', () => {
+  const neutral = { smile: 0.05, brow: 0.02, jaw: 0 };
+  const subtle = deriveThresholds({ neutral, smile: { smile: 0.15, brow: 0.02 }, frown: { smile: 0.05, brow: 0.10 } });
+  assert.ok(Math.abs(subtle.happyEnter - 0.05) < 1e-9);
+  assert.ok(Math.abs(subtle.stressEnter - 0.04) < 1e-9);
+  const big = deriveThresholds({ neutral, smile: { smile: 0.85, brow: 0.02 }, frown: { smile: 0.05, brow: 0.62 } });
+  assert.ok(big.happyEnter > DEFAULT_THRESHOLDS.happyEnter * 3);
+  assert.throws(() => deriveThresholds({ neutral, smile: { smile: 0.07, brow: 0.02 }, frown: { smile: 0.05, brow: 0.3 } }), /Smile/);
+  assert.throws(() => deriveThresholds({ neutral, smile: { smile: 0.5, brow: 0.02 }, frown: { smile: 0.05, brow: 0.03 } }), /Frown/);
+});
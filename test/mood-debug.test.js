@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { debugMeters } from '../src/mood-debug.js';
+import { DEFAULT_THRESHOLDS } from '../src/mood-classify.js';
+
+test('debug meters place thresholds over the neutral baseline', () => {
+  const rows = debugMeters({
+    raw: { smile: 0.3, brow: 0.1, jaw: 0.2 },
+    ema: { smile: 0.25, brow: 0.08, jaw: 0.15 },
+    neutral: { smile: 0.05, brow: 0.02, jaw: 0.04 },
+    thresholds: DEFAULT_THRESHOLDS,
+  });
+  assert.deepEqual(rows.map(r => r.key), ['smile', 'brow', 'jaw']);
+  const [smile, brow, jaw] = rows;
+  assert.equal(smile.ema, 0.25);
+  assert.ok(Math.abs(smile.enter - 0.15) < 1e-9);
+  assert.ok(Math.abs(smile.exit - 0.11) < 1e-9);
+  assert.ok(Math.abs(brow.enter - 0.10) < 1e-9);
+  assert.equal(jaw.neutral, 0.04);
+  assert.equal(jaw.enter, null);
+});
+
+test('debug meters before calibration or without a face', () => {
+  const rows = debugMeters({ raw: null, ema: null, neutral: null, thresholds: DEFAULT_THRESHOLDS });
+  for (const r of rows) assert.deepEqual([r.raw, r.ema, r.neutral, r.enter, r.exit], [null, null, null, null, null]);
+});
@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createMoodDetector } from '../src/mood-detector.js';
+import { STRATEGIES, registerStrategy } from '../src/mood-strategies.js';
+
+const fixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url)));
+const blend = fixture('blendshapes.json');
+const lms = fixture('landmarks.json');
+
+// Face Landmarker results as the detector loop would see them
+const blendResult = (frame) => ({ faceBlendshapes: [{ categories: frame }], faceLandmarks: [] });
+const noFace = { faceBlendshapes: [], faceLandmarks: [] };
+
+function detectorWithLog(strategy) {
+  const moods = [];
+  const d = createMoodDetector({ strategy, onMood: (m) => moods.push(m) });
+  return { d, moods };
+}
+
+test('blendshape strategy: calibrates on neutral, then follows the face', () => {
+  const { d, moods } = detectorWithLog('blendshapes');
+  let ts = 0;
+  const feed = (frames, times) => {
+    let s;
+    for (let n = 0; n < times; n++) for (const f of frames) { ts += 120; s = d.process(blendResult(f), ts); }
+    return s;
+  };
+
+  let s = feed(blend.neutral, 2);
+  assert.equal(s.calibrating, true);
+  assert.equal(s.kind, 'blendshapes');
+  s = feed(blend.neutral, 2);
+  assert.equal(s.calibrating, false);
+  assert.ok(s.neutral && s.thresholds.happyEnter > 0);
+
+  assert.equal(feed(blend.smile, 5).mood, 'happy');
+  assert.equal(feed(blend.frown, 5).mood, 'stressed');
+  assert.equal(moods.at(-1), 'stressed');
+
+  // Face lost: sample says so, mood is left alone
+  const count = moods.length;
+  s = d.process(noFace, ts + 120);
+  assert.equal(s.raw, null);
+  assert.equal(s.mood, null);
+  assert.equal(moods.length, count);
+
+  d.recalibrate();
+  assert.equal(feed(blend.smile, 1).calibrating, true);
+});
+
+test('blendshape strategy: a profile skips the start-up capture', () => {
+  const { d } = detectorWithLog('blendshapes');
+  d.useProfile({ neutral: { smile: 0.05, brow: 0.02, jaw: 0 }, thresholds: { happyEnter: 0.3, happyExit: 0.2 } });
+  const s = d.process(blendResult(blend.smile[0]), 0);
+  assert.equal(s.calibrating, false);
+  assert.equal(s.thresholds.happyEnter, 0.3);
+  d.useProfile(null);
+  assert.equal(d.thresholds.happyEnter, 0.10);
+});
+
+test('landmark strategy: scores the geometry and decays toward calm without a face', () => {
+  const { d, moods } = detectorWithLog('landmarks');
+  let s;
+  for (let i = 0; i < 10; i++) s = d.process({ faceLandmarks: [lms.smile] }, i * 100);
+  assert.equal(s.kind, 'landmarks');
+  assert.equal(s.mood, 'happy');
+  assert.ok(s.raw.happy > 0.55);
+  for (let i = 0; i < 200; i++) s = d.process({ faceLandmarks: [] }, 1000 + i * 100);
+  assert.equal(s.raw, null);
+  assert.equal(s.mood, 'calm');
+  assert.equal(moods.at(-1), 'calm');
+});
+
+test('strategies can be switched and registered; samples stream to listeners', () => {
+  const { d } = detectorWithLog('blendshapes');
+  registerStrategy('always-happy', {
+    label: 'Always happy',
+    create: () => ({ kind: 'test', reset() {}, recalibrate() {}, update: () => ({ raw: {}, mood: 'happy', vector: null }) })
+  });
+  const seen = [];
+  const off = d.onSample((s) => seen.push(`${s.strategy}:${s.mood}`));
+  d.setStrategy('always-happy');
+  d.process({ faceLandmarks: [lms.smile] }, 0);
+  d.setStrategy('nope');
+  assert.equal(d.strategy, 'always-happy');
+  off();
+  d.process({ faceLandmarks: [lms.smile] }, 1);
+  assert.deepEqual(seen, ['always-happy:happy']);
+  delete STRATEGIES['always-happy'];
+});
+
+// A happy face, then the player walks away for `ms`
+function leaveAfterSmile(policy, ms) {
+  const moods = [], tracking = [];
+  const d = createMoodDetector({
+    strategy: 'landmarks', faceLost: { policy },
+    onMood: (m, v) => moods.push({ m, v }), onTracking: (state) => tracking.push(state),
+  });
+  let ts = 0;
+  for (let i = 0; i < 10; i++) d.process({ faceLandmarks: [lms.smile] }, ts += 100);
+  const before = moods.length;
+  for (; ts < 1000 + ms; ts += 100) d.process({ faceLandmarks: [] }, ts);
+  return { moods, lost: moods.slice(before), tracking };
+}
+
+test('face lost: reported as no-face only after the grace period', () => {
+  const { tracking } = leaveAfterSmile('hold', 2000);
+  const firstLost = tracking.indexOf('no-face');
+  assert.ok(firstLost > 10, 'brief dropouts still count as tracking');
+  assert.equal(tracking.at(-1), 'no-face');
+});
+
+test('face lost policies: hold keeps the mood, calm switches, decay eases', () => {
+  assert.equal(leaveAfterSmile('hold', 3000).lost.length, 0);
+
+  const calm = leaveAfterSmile('calm', 3000).lost;
+  assert.deepEqual(calm.map(e => e.m), ['calm']);
+
+  const decay = leaveAfterSmile('decay', 6000).lost;
+  assert.ok(decay.length > 5);
+  const val = decay.map(e => e.v.valence);
+  assert.ok(val.every((v, i) => i === 0 || v <= val[i - 1]), 'valence eases down monotonically');
+  assert.equal(decay[0].m, 'happy');
+  assert.equal(decay.at(-1).m, 'calm');
+  assert.ok(Math.abs(decay.at(-1).v.valence - 0.5) < 0.02);
+});
+
+test('multiple faces: the largest face is classified and flagged', () => {
+  const tiny = Object.fromEntries(Object.entries(lms.open).map(([k, p]) => [k, { x: 0.9 + p.x * 0.05, y: p.y * 0.05 }]));
+  const states = [];
+  const d = createMoodDetector({ strategy: 'landmarks', onMood() {}, onTracking: (s) => states.push(s) });
+  let s;
+  for (let i = 0; i < 10; i++) s = d.process({ faceLandmarks: [tiny, lms.smile] }, i * 100);
+  assert.equal(s.faces, 2);
+  assert.equal(s.mood, 'happy');
+  assert.equal(states.at(-1), 'multiple');
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createVoiceDetector, analyzeRecording, classifyRecording, MIC_MESSAGES } from '../src/mood-voice.js';
+import { decodeWav, frameSizeFor } from '../src/voice-classify.js';
+import { SAMPLE_RATE, CALM, EXCITED, speech, concat, encodeWav } from './fixtures/speech.js';
+
+// Just enough OfflineAudioContext for analyzeRecording: WAV decoding, one
+// source → analyser, and suspend()/resume() on render-quantum boundaries.
+class FakeOfflineContext {
+  constructor(channels, length, sampleRate) {
+    Object.assign(this, { length, sampleRate, destination: {}, pos: 0, source: null });
+    this.suspends = new Map();
+  }
+  async decodeAudioData(bytes) {
+    const { sampleRate, samples } = decodeWav(bytes);
+    return { sampleRate, length: samples.length, duration: samples.length / sampleRate, getChannelData: () => samples };
+  }
+  createBufferSource() {
+    const ctx = this;
+    return { buffer: null, connect() {}, start() { ctx.source = this; } };
+  }
+  createAnalyser() {
+    const ctx = this;
+    return {
+      fftSize: 2048, connect() {},
+      getFloatTimeDomainData(out) {
+        const data = ctx.source.buffer.getChannelData(0);
+        for (let i = 0; i < out.length; i++) out[i] = data[ctx.pos - out.length + i] ?? 0;
+      },
+    };
+  }
+  suspend(t) {
+    const frame = Math.round(t * this.sampleRate);
+    assert.equal(frame % 128, 0, 'suspend time on a render quantum');
+    return new Promise((resolve) => this.suspends.set(frame, resolve));
+  }
+  resume() { this.resumed(); }
+  async startRendering() {
+    for (const frame of [...this.suspends.keys()].sort((a, b) => a - b)) {
+      this.pos = frame;
+      await new Promise((done) => { this.resumed = done; this.suspends.get(frame)(); });
+    }
+  }
+}
+
+test('analyzeRecording renders a WAV into one analyser frame per hop', async () => {
+  const wav = encodeWav(speech(1, CALM));
+  const { sampleRate, frames } = await analyzeRecording(wav, { OfflineContext: FakeOfflineContext });
+  assert.equal(sampleRate, SAMPLE_RATE);
+  assert.equal(frames.length, 19);
+  assert.ok(frames.every(f => f.data.length === frameSizeFor(SAMPLE_RATE)));
+  assert.ok(frames.every((f, i) => i === 0 || f.t > frames[i - 1].t));
+  assert.ok(Math.abs(frames[9].t - 500) < 8);
+});
+
+test('classifyRecording: a calm-then-excited recording ends stressed', async () => {
+  const wav = encodeWav(concat(speech(5, CALM, 1), speech(4, EXCITED, 2)));
+  const samples = await classifyRecording(wav, { OfflineContext: FakeOfflineContext });
+  assert.equal(samples[20].calibrating, true);
+  assert.equal(samples[90].mood, 'calm');
+  assert.equal(samples[samples.length - 1].mood, 'stressed');
+  await assert.rejects(analyzeRecording(wav, { OfflineContext: null }), /OfflineAudioContext/);
+});
+
+test('detector publishes moods only once calibrated', () => {
+  const moods = [];
+  const d = createVoiceDetector({ calibrateMs: 1000, onMood: (m, v) => moods.push([m, v.arousal]) });
+  const seen = [];
+  d.onSample(s => seen.push(s.kind));
+  const clip = concat(speech(2, CALM), speech(3, EXCITED));
+  const size = frameSizeFor(SAMPLE_RATE);
+  for (let end = size; end <= clip.length; end += 800) d.process(clip.subarray(end - size, end), SAMPLE_RATE, end / 16);
+  assert.ok(seen.length > moods.length && moods.length > 0);
+  assert.ok(seen.every(k => k === 'voice'));
+  assert.equal(moods[0][0], 'calm');
+  assert.equal(moods[moods.length - 1][0], 'stressed');
+});
+
+test('start() surfaces microphone errors with readable messages', async () => {
+  const mediaDevices = { async getUserMedia() { throw Object.assign(new Error('x'), { name: 'NotAllowedError' }); } };
+  Object.defineProperty(globalThis, 'navigator', { value: { mediaDevices }, configurable: true });
+  const d = createVoiceDetector();
+  await assert.rejects(d.start(), (e) => e.code === 'denied' && e.message === MIC_MESSAGES.denied);
+  assert.equal(d.running, false);
+
+  Object.defineProperty(globalThis, 'navigator', { value: {}, configurable: true });
+  await assert.rejects(d.start(), (e) => e.code === 'unsupported');
+});
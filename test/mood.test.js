@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  setMood, getMood, getMoodVector, onMoodChange, onMoodVector, setTracking, onTrackingChange, getTracking
+} from '../src/mood.js';
+
+test('setMood notifies only on real changes', () => {
+  const labels = [], vectors = [];
+  onMoodChange((m) => labels.push(m));
+  onMoodVector((v) => vectors.push(v.valence));
+
+  setMood('calm');                                        // already calm
+  setMood('happy');
+  setMood('happy');
+  setMood('happy', { valence: 0.901, arousal: 0.55 });    // vector only
+  setMood('happy', { valence: 0.899, arousal: 0.55 });    // rounds to the same 0.90
+  setMood('stressed');
+
+  assert.deepEqual(labels, ['happy', 'stressed']);
+  assert.deepEqual(vectors, [0.85, 0.9, 0.15]);
+  assert.equal(getMood(), 'stressed');
+  assert.deepEqual(getMoodVector(), { valence: 0.15, arousal: 0.85 });
+});
+
+test('setTracking notifies on state or quality changes only', () => {
+  const seen = [];
+  onTrackingChange((t) => seen.push(`${t.state}:${t.quality}`));
+  setTracking('tracking', 1);
+  setTracking('tracking', 0.98);   // rounds to the same 1.0
+  setTracking('tracking', 0.7);
+  setTracking('no-face', 0.3);
+  setTracking('off');
+  assert.deepEqual(seen, ['tracking:1', 'tracking:0.7', 'no-face:0.3', 'off:0']);
+  assert.deepEqual(getTracking(), { state: 'off', quality: 0 });
+});
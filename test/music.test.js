@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MUSIC_STYLES, chordNotes, stepNotes, tempoFor, createSequencer, MAX_PACE } from '../src/music.js';
+
+const bars = (style, n) => Array.from({ length: n * 16 }, (_, step) => stepNotes(style, step)).flat();
+const inScale = (style, midi) => style.scale.includes(((midi - style.root) % 12 + 12) % 12);
+
+test('every mood has its own tempo, and every pitched note is in its scale', () => {
+  const { happy, calm, stressed } = MUSIC_STYLES;
+  assert.ok(calm.bpm < happy.bpm && happy.bpm < stressed.bpm);
+  for (const [mood, style] of Object.entries(MUSIC_STYLES)) {
+    const notes = bars(style, style.progression.length * 2);
+    assert.ok(notes.length > 0, mood);
+    for (const n of notes) if (n.midi !== undefined) assert.ok(inScale(style, n.midi), `${mood}: ${n.midi}`);
+  }
+});
+
+test('instrumentation per mood: arpeggios, pads, ostinato', () => {
+  const voices = (mood) => new Set(bars(MUSIC_STYLES[mood], 4).map(n => n.voice));
+  assert.ok(voices('happy').has('pluck'));
+  assert.ok(voices('calm').has('pad') && !voices('calm').has('hat'));
+  assert.ok(voices('stressed').has('saw'));
+  // Happy arpeggiates a chord every 16th; calm pads only change once a bar
+  assert.equal(bars(MUSIC_STYLES.happy, 1).filter(n => n.voice === 'pluck').length, 16);
+  assert.equal(new Set(bars(MUSIC_STYLES.calm, 1).filter(n => n.voice === 'pad').map(n => n.steps)).size, 1);
+});
+
+test('chords follow the progression, one per bar', () => {
+  const style = MUSIC_STYLES.happy;
+  assert.deepEqual(chordNotes(style, 0), [60, 64, 67]);      // C major
+  assert.deepEqual(chordNotes(style, 5), [69, 72, 76]);      // A minor
+  const bassByBar = [0, 1, 2, 3, 4].map(b => stepNotes(style, b * 16).find(n => n.voice === 'bass').midi);
+  assert.deepEqual(bassByBar, [48, 55, 57, 53, 48]);          // I V vi IV I
+  assert.deepEqual(stepNotes(MUSIC_STYLES.calm, 37), stepNotes(MUSIC_STYLES.calm, 37), 'deterministic');
+});
+
+test('tempo rises with the run pace and is capped', () => {
+  const style = MUSIC_STYLES.calm;
+  assert.equal(tempoFor(style, 1), style.bpm);
+  assert.equal(tempoFor(style, 0.8), style.bpm);
+  assert.ok(Math.abs(tempoFor(style, 1.2) - style.bpm * 1.2) < 1e-9);
+  assert.equal(tempoFor(style, 3), style.bpm * MAX_PACE);
+
+  const seq = createSequencer(MUSIC_STYLES.happy, 10);
+  const first = seq.due(12);
+  const sixteenth = 60 / MUSIC_STYLES.happy.bpm / 4;
+  assert.equal(seq.step, Math.ceil(2 / sixteenth));
+  assert.ok(first.every(n => n.time >= 10 && n.time < 12));
+  seq.setPace(1.4);
+  const before = seq.step;
+  seq.due(14);
+  assert.ok(seq.step - before > (2 / sixteenth) * 1.35, 'faster steps after the pace change');
+});
+
+test('after a stalled scheduler the sequencer skips the missed steps instead of bursting them', () => {
+  const seq = createSequencer(MUSIC_STYLES.stressed, 0);
+  const sixteenth = 60 / MUSIC_STYLES.stressed.bpm / 4;
+  seq.due(0.12, 0);
+  const late = seq.due(5.12, 5);
+  assert.ok(late.length > 0);
+  assert.ok(late.every(n => n.time >= 5 && n.time < 5.12), 'nothing scheduled in the past');
+  assert.equal(seq.step, Math.ceil(5.12 / sixteenth), 'stays on the beat grid');
+});
@@ -0,0 +1,191 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld, handlePlayer, PLAYER_H, SLIDE_H, SLIDE_TIME, DASH_TIME, DASH_SPEED } from '../src/world.js';
+
+const DT = 1/60;
+const idle = { left: false, right: false };
+
+function tick(w, n = 1, input = idle) { for (let i = 0; i < n; i++) handlePlayer(w, DT, input); }
+function floorY(w) { return w.groundY - w.player.h; }
+
+// Put the player in the air, as if they just ran off a ledge this tick.
+function walkOffLedge(w) {
+  w.player.y = floorY(w) - 200;
+  w.player.onGround = true;
+  tick(w); // coyote refreshes from the ground state, then the player is airborne
+  assert.equal(w.player.onGround, false);
+}
+
+test('ground jump sets vy and leaves one air jump', () => {
+  const w = createWorld({ seed: 1 });
+  w.player.jumpBuf = 0.18;
+  tick(w);
+  assert.equal(w.player.onGround, false);
+  assert.equal(w.player.jumpsLeft, 1);
+  assert.ok(w.player.vy < -650, `vy ${w.player.vy}`);
+  assert.equal(w.events[0].type, 'jump');
+  assert.equal(w.events[0].double, false);
+});
+
+test('coyote time: a late press within 0.18s still counts as a ground jump', () => {
+  const w = createWorld({ seed: 1 });
+  walkOffLedge(w);
+  tick(w, 8); // ~0.13s after leaving the ledge
+  w.player.jumpBuf = 0.18;
+  tick(w);
+  assert.equal(w.player.jumpsLeft, 1);
+  assert.equal(w.events.at(-1).double, false);
+});
+
+test('coyote time: after it runs out the press becomes the double jump', () => {
+  const w = createWorld({ seed: 1 });
+  walkOffLedge(w);
+  tick(w, 12); // 0.2s
+  w.player.jumpBuf = 0.18;
+  tick(w);
+  assert.equal(w.player.jumpsLeft, 0);
+  assert.equal(w.events.at(-1).double, true);
+});
+
+test('double jump: one extra jump in the air, restored on landing', () => {
+  const w = createWorld({ seed: 1 });
+  w.player.jumpBuf = 0.18; tick(w);
+  tick(w, 20);
+  w.player.jumpBuf = 0.18; tick(w);
+  assert.equal(w.player.jumpsLeft, 0);
+  assert.ok(w.player.vy < -600);
+  const jumps = w.events.filter(e => e.type === 'jump').length;
+
+  // A third press in the air does nothing
+  tick(w, 5);
+  w.player.jumpBuf = 0.18; tick(w);
+  assert.equal(w.events.filter(e => e.type === 'jump').length, jumps);
+
+  tick(w, 240);
+  assert.equal(w.player.onGround, true);
+  assert.equal(w.player.jumpsLeft, 2);
+});
+
+test('jump buffer: a press just before landing jumps on touchdown', () => {
+  const w = createWorld({ seed: 1 });
+  w.player.jumpsLeft = 0;
+  w.player.onGround = false;
+  w.player.y = floorY(w) - 20;
+  w.player.vy = 400;
+  w.player.jumpBuf = 0.18;
+  let jumped = false;
+  for (let i = 0; i < 12 && !jumped; i++) { tick(w); jumped = w.events.some(e => e.type === 'jump'); }
+  assert.equal(jumped, true);
+  assert.equal(w.player.jumpsLeft, 1);
+});
+
+test('jump buffer: a press that expires in the air is dropped', () => {
+  const w = createWorld({ seed: 1 });
+  w.player.jumpsLeft = 0;
+  w.player.onGround = false;
+  w.player.y = floorY(w) - 300;
+  w.player.vy = 0;
+  w.player.jumpBuf = 0.18;
+  tick(w, 120);
+  assert.equal(w.player.onGround, true);
+  assert.equal(w.events.some(e => e.type === 'jump'), false);
+  assert.equal(w.player.jumpBuf, 0);
+});
+
+test('horizontal speed is capped and the player stays on screen', () => {
+  const w = createWorld({ seed: 1 });
+  tick(w, 600, { left: false, right: true });
+  assert.ok(w.player.vx <= 260);
+  assert.ok(w.player.x <= 1024 - 80);
+});
+
+test('platforms are one-way: jumped through from below, landed on from above', () => {
+  const w = createWorld({ seed: 1 });
+  const plat = { type: 'platform', x: 100, y: floorY(w) - 40, w: 300, h: 16 };
+  w.obstacles.push(plat);
+  w.player.jumpBuf = 0.18;
+  let rose = 0, landed = false;
+  for (let i = 0; i < 120 && !landed; i++) {
+    tick(w);
+    rose = Math.max(rose, plat.y - (w.player.y + w.player.h));
+    landed = w.player.onGround;
+  }
+  assert.ok(rose > 0, 'went up through the platform');
+  assert.equal(w.player.y + w.player.h, plat.y);
+  tick(w, 30);
+  assert.equal(w.player.onGround, true);
+  assert.equal(w.player.jumpsLeft, 2);
+});
+
+test('ground ends at a pit: the player drops in once only the edge is left', () => {
+  const w = createWorld({ seed: 1 });
+  const { player } = w;
+  const pit = { type: 'pit', x: player.x + 20, y: w.groundY, w: 100, h: 96 };
+  w.obstacles.push(pit);
+  tick(w, 5);
+  assert.equal(player.onGround, true, 'still mostly over the ground');
+  pit.x = player.x - 4;
+  tick(w, 20);
+  assert.equal(player.onGround, false);
+  assert.ok(player.y + player.h > w.groundY);
+  // the pit walls hold the player in
+  assert.ok(player.x >= pit.x - 8 && player.x + player.w <= pit.x + pit.w + 8);
+});
+
+test('slide: half-height hitbox for SLIDE_TIME, held longer, kept while there is no room to stand', () => {
+  const w = createWorld({ seed: 1 });
+  const { player } = w;
+  tick(w, 1, { slide: true });
+  assert.equal(player.h, SLIDE_H);
+  assert.equal(player.y + player.h, w.groundY);
+  assert.equal(w.events[0].type, 'slide');
+  tick(w, Math.ceil(SLIDE_TIME * 60) + 1);
+  assert.equal(player.h, PLAYER_H);
+  // held
+  tick(w, 1, { slide: true });
+  tick(w, 60, { slide: true });
+  assert.equal(player.h, SLIDE_H);
+  // under a low gate it stays down after release
+  w.obstacles.push({ type: 'gate', x: player.x - 20, y: w.groundY - 200, w: 200, h: 160 });
+  tick(w, 60);
+  assert.equal(player.h, SLIDE_H);
+  w.obstacles.length = 0;
+  tick(w, 1);
+  assert.equal(player.h, PLAYER_H);
+});
+
+test('jumping ends a slide; no slide in the air', () => {
+  const w = createWorld({ seed: 1 });
+  tick(w, 1, { slide: true });
+  w.player.jumpBuf = 0.18;
+  tick(w);
+  assert.equal(w.player.h, PLAYER_H);
+  assert.ok(w.player.vy < 0);
+  tick(w, 5, { slide: true });
+  assert.equal(w.player.h, PLAYER_H);
+  assert.equal(w.player.slide, 0);
+});
+
+test('air-dash: flat burst forward, gravity off, then a cooldown; not from the ground', () => {
+  const w = createWorld({ seed: 1 });
+  const { player } = w;
+  tick(w, 1, { dash: true });
+  assert.equal(player.dash, 0, 'no dash on the ground');
+  walkOffLedge(w);
+  const x0 = player.x, y0 = player.y;
+  tick(w, 1, { dash: true });
+  assert.equal(w.events[0].type, 'dash');
+  tick(w, Math.floor(DASH_TIME * 60) - 1);
+  assert.ok(Math.abs(player.y - y0) < 1e-9, 'no fall while dashing');
+  assert.ok(player.x - x0 > DASH_SPEED * DASH_TIME * 0.8);
+  tick(w, 5);
+  assert.ok(player.y > y0, 'falls after the dash');
+  w.events.length = 0;
+  tick(w, 1, { dash: true });
+  assert.equal(w.events.length, 0, 'cooling down');
+  tick(w, 1, { dash: true, left: true });
+  assert.equal(player.dash, 0);
+  player.dashCool = 0;
+  tick(w, 1, { dash: true, left: true });
+  assert.equal(player.dashDir, -1);
+});
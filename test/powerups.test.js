@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  POWERUPS, createPowers, grantPowerup, tickPowers, isActive, pickPowerup, SHIELD_GRACE
+} from '../src/powerups.js';
+import { createWorld, moodParams, handleCollisions, handlePlayer, spawnLogic } from '../src/world.js';
+import { createRng } from '../src/rng.js';
+
+const DT = 1/60;
+
+test('stacking: magnet and extra jump add up to twice their duration, shield and slow-mo refresh', () => {
+  const p = createPowers();
+  grantPowerup(p, 'magnet'); grantPowerup(p, 'magnet'); grantPowerup(p, 'magnet');
+  assert.equal(p.magnet, POWERUPS.magnet.duration * 2);
+  grantPowerup(p, 'shield'); tickPowers(p, 5); grantPowerup(p, 'shield');
+  assert.equal(p.shield, POWERUPS.shield.duration);
+  grantPowerup(p, 'slowmo'); grantPowerup(p, 'slowmo');
+  assert.equal(p.slowmo, POWERUPS.slowmo.duration);
+  tickPowers(p, 100);
+  assert.equal(isActive(p, 'magnet') || isActive(p, 'shield') || isActive(p, 'slowmo'), false);
+});
+
+test('drops are weighted by mood: stressed favours shields, happy magnets', () => {
+  const count = (mood) => {
+    const rng = createRng(5), n = {};
+    for (let i = 0; i < 2000; i++) { const k = pickPowerup(rng, moodParams(mood)); n[k] = (n[k] || 0) + 1; }
+    return n;
+  };
+  const stressed = count('stressed'), happy = count('happy');
+  assert.ok(stressed.shield > happy.shield * 1.5);
+  assert.ok(happy.magnet > stressed.magnet * 2);
+  assert.ok(moodParams('stressed').powerRate > moodParams('calm').powerRate);
+});
+
+test('collecting a pickup starts its timer and reports it once', () => {
+  const w = createWorld({ seed: 1 });
+  const { player } = w;
+  w.pickups.push({ kind: 'magnet', x: player.x + 10, y: player.y + 10, r: 16, t: 0 });
+  handleCollisions(w); handleCollisions(w);
+  assert.equal(w.powers.magnet, POWERUPS.magnet.duration);
+  assert.deepEqual(w.events.map(e => [e.type, e.kind]), [['powerup', 'magnet']]);
+});
+
+test('shield absorbs one hit, then the next one ends the run', () => {
+  const w = createWorld({ seed: 1 });
+  const { player } = w;
+  grantPowerup(w.powers, 'shield');
+  const block = () => ({ type: 'block', x: player.x + 10, y: player.y, w: 30, h: 30 });
+  w.obstacles.push(block());
+  handleCollisions(w);
+  assert.equal(w.alive, true);
+  assert.equal(w.powers.shield, 0);
+  assert.equal(w.grace, SHIELD_GRACE);
+  assert.deepEqual(w.events.map(e => e.type), ['shield']);
+  // still overlapping during the grace period: no second hit
+  handleCollisions(w);
+  assert.equal(w.alive, true);
+  w.grace = 0;
+  handleCollisions(w);
+  assert.equal(w.alive, false);
+  assert.equal(w.events.at(-1).type, 'hit');
+});
+
+test('magnet pulls nearby coins toward the player, not far ones', () => {
+  const w = createWorld({ seed: 1 });
+  w.obstacles.length = 0;
+  const { player } = w;
+  const near = { x: player.x + 180, y: player.y - 40, r: 9, t: 0, worth: 1 };
+  const far = { x: player.x + 600, y: player.y - 40, r: 9, t: 0, worth: 1 };
+  w.coins.push(near, far);
+  grantPowerup(w.powers, 'magnet');
+  const farBefore = far.x;
+  w.step(DT, {});
+  assert.ok(near.x < player.x + 180 - w.speed * DT - 1, 'near coin pulled beyond the scroll');
+  assert.ok(Math.abs(far.x - (farBefore - w.speed * DT)) < 1e-6, 'far coin only scrolls');
+});
+
+test('slow-mo scales world speed while it lasts', () => {
+  const a = createWorld({ seed: 2, mood: 'calm' }), b = createWorld({ seed: 2, mood: 'calm' });
+  grantPowerup(b.powers, 'slowmo');
+  a.step(DT, {}); b.step(DT, {});
+  assert.ok(Math.abs(b.speed - a.speed * POWERUPS.slowmo.scale) < 1e-6);
+  for (let i = 0; i < 60 * POWERUPS.slowmo.duration + 2; i++) { a.obstacles.length = b.obstacles.length = 0; a.step(DT, {}); b.step(DT, {}); }
+  assert.ok(Math.abs(b.speed - a.speed) < 1e-6);
+});
+
+test('extra jump gives a third jump', () => {
+  const w = createWorld({ seed: 1 });
+  grantPowerup(w.powers, 'extraJump');
+  handlePlayer(w, DT, {});
+  assert.equal(w.player.jumpsLeft, 3);
+  let jumps = 0;
+  for (let i = 0; i < 40; i++) {
+    w.player.jumpBuf = i % 10 === 0 ? 0.18 : 0;
+    w.events.length = 0;
+    handlePlayer(w, DT, {});
+    jumps += w.events.filter(e => e.type === 'jump').length;
+  }
+  assert.equal(jumps, 3);
+  assert.equal(w.player.jumpsLeft, 0);
+});
+
+test('power-up drops do not change the course layout', () => {
+  const layout = (rate) => {
+    const w = createWorld({ seed: 11 });
+    const mood = { ...moodParams('calm'), pitRate: 0, dashRate: 0, powerRate: rate };
+    for (let i = 0; i < 20; i++) spawnLogic(w, 1.2, mood);
+    return { obstacles: w.obstacles.map(o => [o.type, o.x, o.y]), pickups: w.pickups.length };
+  };
+  const none = layout(0), always = layout(1);
+  assert.deepEqual(always.obstacles, none.obstacles);
+  assert.equal(none.pickups, 0);
+  assert.equal(always.pickups, 20);
+});
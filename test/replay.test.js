@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRecorder, createPlayback, parseReplay, serializeReplay, STEP } from '../src/replay.js';
+
+function record(step = STEP) {
+  const r = createRecorder({ seed: 9, step, mood: 'calm' });
+  r.input({ jump: true }); r.input({}); r.input({});
+  r.mood('stressed', { valence: 0.2, arousal: 0.8 });
+  r.input({ left: true, slide: true });
+  return r.finish({ score: 3 });
+}
+
+test('a recorded run survives serialize → parse and plays back tick for tick', () => {
+  const d = parseReplay(serializeReplay(record()));
+  assert.deepEqual(d.inputs, [4, 1, 0, 2, 9, 1]);
+  const p = createPlayback(d);
+  assert.equal(p.next().jump, true);
+  p.next(); p.next();
+  const last = p.next();
+  assert.deepEqual([last.left, last.slide, p.mood, p.vec.arousal], [true, true, 'stressed', 0.8]);
+  assert.equal(p.done, true);
+});
+
+test('parseReplay rejects a replay recorded at another step', () => {
+  assert.throws(() => parseReplay(record(1 / 30)), /step/);
+  assert.throws(() => parseReplay({ ...record(), step: 0 }), /seed\/step/);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createSessionRecorder, moodShare, moodSegments, dominantMood, sessionsToCSV, sessionsToJSON
+} from '../src/session.js';
+import { saveSession, listSessions } from '../src/session-store.js';
+import { createWorld } from '../src/world.js';
+
+test('recorder keeps mood changes, throttled face samples, coins and the cause of death', () => {
+  const rec = createSessionRecorder({ seed: 7, mood: 'calm', startedAt: 0 });
+  rec.mood(1.234, 'calm');            // not a change
+  rec.mood(2, 'happy');
+  for (let t = 0; t < 1; t += 1/60) rec.face(t, { smile: 0.4123, brow: 0.1 });
+  rec.coin(1); rec.coin(5);
+  rec.mood(6, 'stressed');
+  const s = rec.finish({ t: 8, score: 42, obstacle: { type: 'drone', x: 1, y: 2 } });
+
+  assert.deepEqual(s.moods, [[0, 'calm'], [2, 'happy'], [6, 'stressed']]);
+  assert.equal(s.face.length, 4);
+  assert.deepEqual(s.face[0], [0, 0.41, 0.1]);
+  assert.equal(s.coins, 2);
+  assert.equal(s.coinValue, 6);
+  assert.equal(s.cause, 'drone');
+  assert.deepEqual(s.share, { happy: 0.5, calm: 0.25, stressed: 0.25 });
+  assert.equal(dominantMood(s.share), 'happy');
+  assert.deepEqual(moodSegments(s).map(x => x.mood), ['calm', 'happy', 'stressed']);
+});
+
+test('moodShare sums to one and ignores an empty run', () => {
+  const share = moodShare([[0, 'happy'], [1, 'calm'], [1, 'stressed']], 3);
+  assert.ok(Math.abs(share.happy + share.calm + share.stressed - 1) < 1e-9);
+  assert.equal(share.calm, 0);
+  assert.deepEqual(moodShare([[0, 'calm']], 0), { happy: 0, calm: 0, stressed: 0 });
+});
+
+test('the world reports which obstacle ended the run', () => {
+  const w = createWorld({ seed: 1 });
+  const p = w.player;
+  w.obstacles.push({ type: 'gate', x: p.x, y: p.y, w: 40, h: 12 });
+  const hit = w.step(1/60, {}).find(e => e.type === 'hit');
+  assert.equal(hit.obstacle.type, 'gate');
+});
+
+test('CSV export has one row per session and quotes awkward cells', () => {
+  const rec = createSessionRecorder({ seed: 3, mood: 'calm', startedAt: Date.UTC(2025, 0, 2) });
+  const s = { ...rec.finish({ t: 10, score: 5 }), id: 1 };
+  const csv = sessionsToCSV([s, { ...s, id: 2, cause: 'odd,"cause"' }]).trim().split('\n');
+  assert.equal(csv.length, 3);
+  assert.equal(csv[0], 'id,startedAt,seed,duration,score,coins,coinValue,cause,happy,calm,stressed,moodChanges,moodAI');
+  assert.equal(csv[1], '1,2025-01-02T00:00:00.000Z,3,10,5,0,0,,0,1,0,0,0');
+  assert.ok(csv[2].includes('"odd,""cause"""'));
+  assert.deepEqual(JSON.parse(sessionsToJSON([s])).sessions[0], s);
+});
+
+test('history storage degrades quietly without IndexedDB', async () => {
+  assert.equal(await saveSession({ score: 1 }), null);
+  assert.deepEqual(await listSessions(), []);
+});
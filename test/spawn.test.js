@@ -0,0 +1,190 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld, moodParams, spawnInterval, spawnLogic, jumpReach, JUMP_VY } from '../src/world.js';
+import { grantPowerup } from '../src/powerups.js';
+
+test('spawnInterval ramps down with run time and is clamped to [0.55, 1.15]', () => {
+  assert.equal(spawnInterval(0.95, 0), 0.95);
+  assert.ok(Math.abs(spawnInterval(0.95, 50) - 0.65) < 1e-9);
+  assert.equal(spawnInterval(0.95, 600), 0.55);
+  assert.equal(spawnInterval(2.0, 0), 1.15);
+});
+
+test('spawnLogic spawns once per interval and resets the timer', () => {
+  const w = createWorld({ seed: 7 });
+  const mood = moodParams('calm');
+  spawnLogic(w, 0.9, mood);
+  assert.equal(w.obstacles.length, 0);
+  spawnLogic(w, 0.06, mood);
+  assert.ok(w.obstacles.length > 0);
+  assert.equal(w.timeSinceSpawn, 0);
+});
+
+test('spawnLogic uses the clamped interval late in a run', () => {
+  const w = createWorld({ seed: 7 });
+  w.runTime = 1000;
+  spawnLogic(w, 0.54, moodParams('stressed'));
+  assert.equal(w.obstacles.length, 0);
+  spawnLogic(w, 0.02, moodParams('stressed'));
+  assert.ok(w.obstacles.length > 0);
+});
+
+test('moodParams: stressed is faster and spawns tighter than happy', () => {
+  const happy = moodParams('happy'), calm = moodParams('calm'), stressed = moodParams('stressed');
+  assert.ok(happy.speedBase < calm.speedBase && calm.speedBase < stressed.speedBase);
+  assert.ok(happy.spawnRateBase > stressed.spawnRateBase);
+  assert.ok(happy.coinRate > stressed.coinRate);
+  assert.deepEqual(moodParams(), calm);
+});
+
+test('same seed + same inputs → same course', () => {
+  const run = () => {
+    const w = createWorld({ seed: 1234, mood: 'calm' });
+    for (let i = 0; i < 600; i++) w.step(1/60, { jump: i % 30 === 0 });
+    return JSON.stringify({ o: w.obstacles, c: w.coins, s: w.score, p: w.player });
+  };
+  assert.equal(run(), run());
+  const other = createWorld({ seed: 4321 });
+  for (let i = 0; i < 600; i++) other.step(1/60, { jump: i % 30 === 0 });
+  assert.notEqual(run(), JSON.stringify({ o: other.obstacles, c: other.coins, s: other.score, p: other.player }));
+});
+
+test('moodParams: a vector on an anchor reproduces that preset', () => {
+  assert.deepEqual(moodParams('calm', { valence: 0.85, arousal: 0.55 }), moodParams('happy'));
+});
+
+test('moodParams: vectors between anchors blend numbers and colours', () => {
+  const happy = moodParams('happy'), stressed = moodParams('stressed');
+  const mid = moodParams('calm', { valence: 0.5, arousal: 0.7 });
+  assert.ok(mid.speedBase > happy.speedBase && mid.speedBase < stressed.speedBase);
+  assert.ok(mid.grav > happy.grav && mid.grav < stressed.grav);
+  assert.match(mid.skyTop, /^#[0-9a-f]{6}$/);
+  // Nudging the vector nudges the params instead of jumping between presets
+  const a = moodParams('calm', { valence: 0.5, arousal: 0.40 });
+  const b = moodParams('calm', { valence: 0.5, arousal: 0.41 });
+  assert.ok(Math.abs(a.speedBase - b.speedBase) < 2);
+});
+
+const pitsOnly = { ...moodParams('calm'), pillarRate: 0, droneRate: 0, pitRate: 1, coinRate: 0, powerRate: 0 };
+
+test('jumpReach: flat, up onto a ledge and down off one', () => {
+  const flat = jumpReach(300, 1500);
+  assert.ok(Math.abs(flat - 300 * 2 * JUMP_VY / 1500) < 1e-9);
+  assert.ok(jumpReach(300, 1500, 80) < flat);
+  assert.ok(jumpReach(300, 1500, -80) > flat);
+  assert.equal(jumpReach(300, 1500, 1000), 0);   // higher than the apex
+});
+
+test('pit patterns: real pits, platforms over the wide ones, nothing spawned on the landing', () => {
+  let platforms = 0;
+  for (let seed = 1; seed <= 40; seed++) {
+    const w = createWorld({ seed });
+    spawnLogic(w, 2, pitsOnly);
+    const pit = w.obstacles.find(o => o.type === 'pit');
+    assert.ok(pit && pit.y === w.groundY && pit.w > w.player.w);
+    const plat = w.obstacles.find(o => o.type === 'platform');
+    if (plat) {
+      platforms++;
+      assert.ok(plat.x > pit.x && plat.x + plat.w < pit.x + pit.w);
+    }
+    assert.equal(w.landingX, pit.x + pit.w);
+    // Still blocked: the landing hasn't scrolled in yet
+    const before = w.obstacles.length;
+    spawnLogic(w, 2, pitsOnly);
+    assert.equal(w.obstacles.length, before);
+  }
+  assert.ok(platforms > 5 && platforms < 35);
+});
+
+// Walks into a pit pattern and jumps only on the first tick after losing the ground —
+// the latest possible take-off (coyote time). Every pattern has to be cleared that way.
+function lastMomentRun(seed, setup){
+  const w = createWorld({ seed, mood: 'calm' });
+  setup(w);
+  spawnLogic(w, 2, pitsOnly);
+  w.timeSinceSpawn = -1e9;   // nothing else spawns
+  let grounded = true;
+  for (let i = 0; i < 60 * 8 && w.alive; i++) {
+    const jump = grounded && !w.player.onGround && w.player.vy >= 0;
+    grounded = w.player.onGround;
+    w.step(1/60, { jump });
+  }
+  return w;
+}
+
+test('every pit pattern is clearable with a last-moment jump, slow or fast', () => {
+  const setups = {
+    start: () => {},
+    slowmo: (w) => grantPowerup(w.powers, 'slowmo'),
+    happy: (w) => { w.mood = 'happy'; },
+    late: (w) => { w.speedRamp = 120; },
+  };
+  for (const [name, setup] of Object.entries(setups)) {
+    for (let seed = 1; seed <= 25; seed++) {
+      const w = lastMomentRun(seed, setup);
+      assert.ok(w.alive, `${name} seed ${seed}`);
+      assert.equal(w.obstacles.filter(o => o.type === 'pit').length, 0, `${name} seed ${seed}: pattern passed`);
+    }
+  }
+});
+
+test('laser curtains hang too low to stand under and too high to jump over — slide', () => {
+  const ducks = { ...moodParams('calm'), pillarRate: 0, droneRate: 0, pitRate: 0, duckRate: 1, coinRate: 0, powerRate: 0 };
+  const run = (seed, move) => {
+    const w = createWorld({ seed });
+    spawnLogic(w, 2, ducks);
+    w.timeSinceSpawn = -1e9;
+    const curtain = w.obstacles.find(o => o.curtain);
+    assert.ok(curtain && curtain.type === 'gate');
+    let jumped = 0;
+    for (let i = 0; i < 60 * 5 && w.alive; i++) {
+      const near = curtain.x - (w.player.x + w.player.w) < 60;
+      const input = move === 'slide' ? { slide: near } : { jump: near && jumped++ % 20 === 0 };
+      w.step(1/60, input);
+    }
+    return w.alive;
+  };
+  for (let seed = 1; seed <= 10; seed++) {
+    assert.equal(run(seed, 'slide'), true, `slide seed ${seed}`);
+    assert.equal(run(seed, 'jump'), false, `jump seed ${seed}`);
+    assert.equal(run(seed, 'none'), false, `stand seed ${seed}`);
+  }
+});
+
+test('a drone ceiling over a pit is cleared by a hop and dash, not by a full jump', () => {
+  const dashes = { ...moodParams('calm'), pillarRate: 0, droneRate: 1, dashRate: 1, coinRate: 0, powerRate: 0 };
+  const run = (seed, dashAfter, setup = () => {}) => {
+    const w = createWorld({ seed, mood: 'calm' });
+    setup(w);
+    spawnLogic(w, 2, dashes);
+    w.timeSinceSpawn = -1e9;
+    assert.ok(w.obstacles.some(o => o.type === 'pit') && w.obstacles.filter(o => o.type === 'drone').length >= 2);
+    let grounded = true, airTicks = -1;
+    for (let i = 0; i < 60 * 8 && w.alive; i++) {
+      const jump = grounded && !w.player.onGround && w.player.vy >= 0;
+      grounded = w.player.onGround;
+      if (jump) airTicks = 0; else if (airTicks >= 0) airTicks++;
+      w.step(1/60, { jump, dash: dashAfter !== null && airTicks === dashAfter });
+    }
+    return w.alive;
+  };
+  for (let seed = 1; seed <= 20; seed++) {
+    assert.equal(run(seed, 6), true, `hop seed ${seed}`);
+    assert.equal(run(seed, 6, (w) => grantPowerup(w.powers, 'slowmo')), true, `slow-mo hop seed ${seed}`);
+    assert.equal(run(seed, 6, (w) => { w.speedRamp = 120; }), true, `late hop seed ${seed}`);
+    assert.equal(run(seed, null), false, `full jump seed ${seed}`);
+  }
+});
+
+test('a drone ceiling raises one pass event, not one per drone', () => {
+  const dashes = { ...moodParams('calm'), pillarRate: 0, droneRate: 1, dashRate: 1, coinRate: 0, powerRate: 0 };
+  const w = createWorld({ seed: 4, mood: 'calm' });
+  spawnLogic(w, 2, dashes);
+  w.timeSinceSpawn = -1e9;
+  const drones = w.obstacles.filter(o => o.type === 'drone');
+  assert.ok(drones.length >= 2);
+  for (const o of w.obstacles) o.x -= 2000;
+  const passes = w.step(1/60, {}).filter(e => e.type === 'pass');
+  assert.equal(passes.length, 1);
+  assert.equal(passes[0].obstacle, drones[0]);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync, existsSync } from 'node:fs';
+
+const root = new URL('../', import.meta.url);
+const sw = readFileSync(new URL('sw.js', root), 'utf8');
+const assets = [...sw.match(/const ASSETS = \[([\s\S]*?)\];/)[1].matchAll(/'(\.\/[^']*)'/g)].map(m => m[1]);
+
+test('every precached asset exists', () => {
+  for (const a of assets) if (a !== './') assert.ok(existsSync(new URL(a, root)), `${a} is missing`);
+});
+
+test('every module and everything Mood AI loads is precached', () => {
+  for (const f of readdirSync(new URL('src/', root))) assert.ok(assets.includes(`./src/${f}`), `src/${f} not precached`);
+  for (const a of ['./models/face_landmarker.task', './vendor/tasks-vision/vision_bundle.mjs',
+    './vendor/tasks-vision/wasm/vision_wasm_internal.js', './vendor/tasks-vision/wasm/vision_wasm_internal.wasm']) {
+    assert.ok(assets.includes(a), `${a} not precached`);
+  }
+});
+
+test('cache name is versioned and nothing comes from a CDN', () => {
+  assert.match(sw, /const CACHE = `emotion-escape-\$\{VERSION\}`/);
+  for (const f of readdirSync(new URL('src/', root))) {
+    assert.doesNotMatch(readFileSync(new URL(`src/${f}`, root), 'utf8'), /cdn\.jsdelivr\.net/, `src/${f} uses jsDelivr`);
+  }
+});
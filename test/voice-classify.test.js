@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  decodeWav, frameFeatures, frameSizeFor, createVoiceAnalyzer, voiceArousal, createVoiceClassifier
+} from '../src/voice-classify.js';
+import { SAMPLE_RATE, CALM, EXCITED, speech, silence, concat, encodeWav } from './fixtures/speech.js';
+
+// Slice a clip into the frames an AnalyserNode would hand out every 50 ms
+function* frames(samples, sr = SAMPLE_RATE, hopMs = 50) {
+  const size = frameSizeFor(sr), hop = Math.round(sr * hopMs / 1000);
+  for (let end = size; end <= samples.length; end += hop) yield { data: samples.subarray(end - size, end), t: end / sr * 1000 };
+}
+
+test('decodeWav reads 16-bit PCM back to floats', () => {
+  const clip = speech(0.5, CALM);
+  const { sampleRate, samples } = decodeWav(encodeWav(clip));
+  assert.equal(sampleRate, SAMPLE_RATE);
+  assert.equal(samples.length, clip.length);
+  assert.ok(samples.every((s, i) => Math.abs(s - clip[i]) < 1e-4));
+  assert.throws(() => decodeWav(new ArrayBuffer(44)), /Not a WAV/);
+});
+
+test('frameFeatures finds the pitch of a voiced frame and none in silence', () => {
+  const size = frameSizeFor(SAMPLE_RATE);
+  for (const f0 of [90, 150, 320]) {
+    const frame = Float32Array.from({ length: size }, (_, i) =>
+      0.6 * Math.sin(2 * Math.PI * f0 * i / SAMPLE_RATE) + 0.3 * Math.sin(4 * Math.PI * f0 * i / SAMPLE_RATE));
+    const { rms, pitch } = frameFeatures(frame, SAMPLE_RATE);
+    assert.ok(rms > 0.4);
+    assert.ok(Math.abs(pitch - f0) / f0 < 0.02, `${f0} Hz read as ${pitch}`);
+  }
+  assert.equal(frameFeatures(new Float32Array(size), SAMPLE_RATE).pitch, null);
+});
+
+test('excited speech is louder, more varied and faster than calm speech', () => {
+  const featuresOf = (style) => {
+    const a = createVoiceAnalyzer();
+    for (const f of frames(speech(3, style))) a.push(f.data, SAMPLE_RATE, f.t);
+    return a.features();
+  };
+  const calm = featuresOf(CALM), excited = featuresOf(EXCITED);
+  assert.ok(excited.energyDb - calm.energyDb > 8, 'louder');
+  assert.ok(excited.pitchSd > calm.pitchSd * 2, 'more pitch variance');
+  assert.ok(Math.abs(calm.rate - CALM.rate) < 1, `calm rate ${calm.rate}`);
+  assert.ok(Math.abs(excited.rate - EXCITED.rate) < 1.5, `excited rate ${excited.rate}`);
+  assert.equal(voiceArousal(calm, calm), 0.2);
+  assert.ok(voiceArousal(excited, calm) > 0.7);
+});
+
+test('classifier: calibrates on calm speech, then follows the voice', () => {
+  const c = createVoiceClassifier();
+  const clip = decodeWav(encodeWav(concat(
+    speech(5, CALM, 1), speech(4, EXCITED, 2), speech(4, CALM, 3), silence(3)
+  ))).samples;
+  const at = {};
+  for (const f of frames(clip)) {
+    const s = c.update(f.data, SAMPLE_RATE, f.t);
+    at[Math.floor(f.t / 1000)] = s;
+  }
+  assert.equal(at[1].calibrating, true);
+  assert.equal(at[1].vector, null);
+  assert.equal(at[4].calibrating, false);
+  assert.ok(at[4].neutral.energyDb < -20);
+  assert.equal(at[4].mood, 'calm');
+  assert.equal(at[8].mood, 'stressed');
+  assert.ok(at[8].vector.arousal > 0.6);
+  assert.equal(at[8].vector.valence, 0.5);
+  assert.equal(at[12].mood, 'calm');
+  assert.ok(at[15].arousal < 0.25, 'silence eases back to calm');
+});
+
+test('recalibrate takes a new baseline from the next stretch of speech', () => {
+  const c = createVoiceClassifier({ calibrateMs: 1000 });
+  let last;
+  for (const f of frames(concat(speech(2, CALM), speech(4, EXCITED)))) last = c.update(f.data, SAMPLE_RATE, f.t);
+  assert.equal(last.mood, 'stressed');
+  const calmNeutral = last.neutral;
+  c.recalibrate();
+  for (const f of frames(speech(2, EXCITED, 4))) last = c.update(f.data, SAMPLE_RATE, 6000 + f.t);
+  assert.equal(last.calibrating, false);
+  assert.ok(last.neutral.energyDb > calmNeutral.energyDb + 6, 'loud voice is the new neutral');
+});
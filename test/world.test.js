@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld, moodParams, SPEED_MILESTONE } from '../src/world.js';
+
+const DT = 1/60;
+
+test('a mood change ramps speed and gravity over about a second', () => {
+  const w = createWorld({ seed: 3, mood: 'happy' });
+  const from = moodParams('happy'), to = moodParams('stressed');
+  w.mood = 'stressed';
+  w.step(DT, {});
+  // One tick in: barely moved
+  assert.ok(w.gravity - from.grav < (to.grav - from.grav) * 0.1);
+  for (let i = 0; i < 29; i++) w.step(DT, {});
+  // Half a second: partway there
+  assert.ok(w.gravity > from.grav + 20 && w.gravity < to.grav - 5, `grav ${w.gravity}`);
+  for (let i = 0; i < 30; i++) w.step(DT, {});
+  // One second: close to the target
+  assert.ok(to.grav - w.gravity < (to.grav - from.grav) * 0.06, `grav ${w.gravity}`);
+  assert.ok(w.speed > to.speedBase - 4);
+});
+
+test('without a mood change the ramp is just the soft difficulty increase', () => {
+  const w = createWorld({ seed: 3, mood: 'calm' });
+  for (let i = 0; i < 600; i++) { w.obstacles.length = 0; w.step(DT, {}); }
+  assert.ok(Math.abs(w.speed - (moodParams('calm').speedBase + 10 * 0.8)) < 1e-6);
+});
+
+test('speed milestones are reported once per step of the difficulty ramp', () => {
+  const w = createWorld({ seed: 3, mood: 'calm' });
+  const milestones = [];
+  for (let i = 0; i < 60 * 70; i++) {
+    w.obstacles.length = 0;
+    for (const e of w.step(DT, {})) if (e.type === 'milestone') milestones.push([e.level, w.runTime]);
+  }
+  assert.deepEqual(milestones.map(m => m[0]), [1, 2]);
+  assert.ok(Math.abs(milestones[0][1] - SPEED_MILESTONE / 0.8) < 0.05);
+});
+
+test('a drone raises one pass event as it flies by the player', () => {
+  const w = createWorld({ seed: 3 });
+  const p = w.player;
+  w.obstacles.push({ type: 'drone', x: p.x + 80, y: p.y - 200, r: 20, vy: 0, phase: 0, angle: 0 });
+  const passes = [];
+  for (let i = 0; i < 60; i++) passes.push(...w.step(DT, {}).filter(e => e.type === 'pass'));
+  assert.equal(passes.length, 1);
+  assert.equal(passes[0].obstacle.type, 'drone');
+});